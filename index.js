@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 
 const {
-    prepareProject,ejectProject, build, embed
+    prepareProject,ejectProject, build, embed, BUILD_PHASES
 } = require('./src/command');
 const os = require('os');
 const { LocalStorage } = require('node-localstorage');
@@ -9,6 +9,19 @@ const {
     runExpo, runAndroid, runIos, sync, runESBuildWebPreview
 } = require('./src/expo-launcher');
 const { runWeb } = require('./src/web-preview-launcher');
+const { doctor } = require('./src/doctor');
+const { printCacheStats, pruneCache } = require('./src/dependency-cache');
+const { listBuilds, showBuild, openBuild, pruneBuilds } = require('./src/build-registry');
+const { serve } = require('./src/build-server');
+const { dryRun } = require('./src/build-plan');
+const { printDiff, revert } = require('./src/journal');
+const { buildVariants } = require('./src/variants');
+const { createKeyStore, inspectKeyStore, checkKeyStore } = require('./src/keystore');
+const { loadPlugins, getPluginCommands } = require('./src/plugins');
+const { eventStream } = require('./src/custom-logger/event-stream');
+const { CliError, EXIT_CODES, getExitCode } = require('./src/errors');
+const { applyProjectConfig } = require('./src/project-config');
+const { registerSecret } = require('./src/redact');
 const updateNotifier = require('update-notifier');
 const pkg = require('./package.json');
 const { canDoAndroidBuild, canDoIosBuild, showConfirmation } = require('./src/requirements');
@@ -28,6 +41,84 @@ global.rootDir = process.env.WM_REACTNATIVE_CLI || `${os.homedir()}/.wm-reactnat
 global.localStorage = new LocalStorage(`${global.rootDir}/.store`);
 // src is the web react native project zip
 
+function normalizeBuildType(val) {
+    if (val === 'development') {
+        return 'debug';
+    }
+    if (val === 'production') {
+        return 'release';
+    }
+    return val;
+}
+
+// applies values of the selected profile in the project config file to args.
+function loadProjectConfig(args) {
+    try {
+        applyProjectConfig(args, require('yargs').parsed);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    if (args.buildType) {
+        args.buildType = args.bt = normalizeBuildType(args.buildType);
+    }
+    return args;
+}
+
+function addProjectConfigOptions(yargs) {
+    return yargs.option('profile', {
+        describe: 'name of the profile to use from the project config file (wm-reactnative.config.js or .wmrnrc.json)',
+        type: 'string'
+    })
+    .option('config', {
+        describe: 'path of the project config file. By default, the file is looked up in the src folder and then in the current folder.',
+        type: 'string'
+    });
+}
+
+// options of the keystore commands, named as the signing options of the android build.
+function addKeyStoreOptions(yargs) {
+    return yargs.positional('keyStore', {
+        describe: 'path of the keystore',
+        type: 'string',
+        normalize: true
+    })
+    .option('asp', {
+        alias: 'aStorePassword',
+        describe: 'password of the keystore. Can be env:NAME, file:/path or stdin.',
+        type: 'string',
+        demandOption: true
+    });
+}
+
+// builds the project (or its variants, with --variants). With --dry-run, the plan of the build is printed instead.
+function buildProject(args) {
+    if (args.dryRun) {
+        return dryRun(args);
+    }
+    return args.variants ? buildVariants(args) : build(args);
+}
+
+// sets the exit code of the process based on the error thrown by the command (see src/errors.js).
+async function runCommand(fn) {
+    try {
+        await fn();
+    } catch (e) {
+        // CliErrors are reported by the command itself.
+        if (!(e instanceof CliError)) {
+            console.error(e && e.message || e);
+        }
+        process.exitCode = getExitCode(e);
+    }
+}
+
+process.on('unhandledRejection', (e) => {
+    if (!(e instanceof CliError)) {
+        console.error(e && e.message || e);
+    }
+    process.exit(getExitCode(e));
+});
+
 async function handleDeprecatedCommands(args) {
     const syncCommand = `wm-reactnative sync ${args.previewUrl} ${args.clean ? '--clean' : ''} ${args.useProxy ? '--useProxy' : ''}`;
     const response = await showConfirmation(
@@ -36,9 +127,13 @@ async function handleDeprecatedCommands(args) {
     if (response !== 'y' && response !== 'yes') {
         process.exit();
     }
-    sync(args.previewUrl, args.clean, args.useProxy);
+    await runCommand(() => sync(args.previewUrl, args.clean, args.useProxy));
 }
 
+// plugins are loaded before the commands are defined, as they can add commands and build phases.
+loadPlugins();
+getPluginCommands().forEach(command => require('yargs').command(command));
+
 const args = require('yargs')
     .command('build', 'build the project to generate android and ios folders', yargs => {
             yargs.command('android [src] [options]', 'build for android', yargs => {
@@ -73,14 +168,26 @@ const args = require('yargs')
                     default: 'apk',
                     choices: ['apk', 'bundle']
                 })
+                .option('allow-key-change', {
+                    alias: 'allowKeyChange',
+                    describe: 'If set to true, then a release build is signed even when the key is different from the earlier release builds of the app id.',
+                    default: false,
+                    type: 'boolean'
+                })
                 .option('architecture', {
                     alias: 'arch',
                     describe: 'Specify the target architectures for the build (e.g., armeabi-v7a, arm64-v8a, x86, x86_64)',
                     type: 'array',
                     choices: ['armeabi-v7a', 'arm64-v8a', 'x86', 'x86_64'],
                 })
+                .option('gradle-prop', {
+                    alias: 'gradleProp',
+                    describe: 'gradle property (key=value) to set in android/gradle.properties. Can be given more than once.',
+                    type: 'array'
+                })
             }, args => {
                 args.platform = 'android';
+                loadProjectConfig(args);
                 if(args.interactive){
                     overallProgressBar.enable();
                     // taskLogger.enableProgressBar();
@@ -91,7 +198,7 @@ const args = require('yargs')
                 global.verbose = args.verbose;
                 const totalCount = calculateTotalSteps(androidBuildSteps);
                 overallProgressBar.setTotal(totalCount);
-                build(args);
+                return runCommand(() => buildProject(args));
             })
             .command('ios [src] [options]', 'build for iOS', yargs => {
                 yargs.option('ic', {
@@ -111,6 +218,7 @@ const args = require('yargs')
                 });
             }, args => {
                 args.platform = 'ios';
+                loadProjectConfig(args);
                 if(args.interactive){
                     overallProgressBar.enable();
                     // taskLogger.enableProgressBar();
@@ -121,8 +229,9 @@ const args = require('yargs')
                 global.verbose = args.verbose;
                 const totalCount = calculateTotalSteps(androidBuildSteps);
                 overallProgressBar.setTotal(totalCount);
-                build(args)
+                return runCommand(() => buildProject(args));
             })
+            addProjectConfigOptions(yargs);
             yargs.positional('src', {
                 describe: 'path of rn project',
                 default: './',
@@ -138,15 +247,7 @@ const args = require('yargs')
                 alias: 'buildType',
                 describe: 'development (or) debug (or) production (or) release',
                 default: 'debug',
-                coerce: (val) => {
-                    if (val === 'development') {
-                        return 'debug';
-                    }
-                    if (val === 'production') {
-                        return 'release';
-                    }
-                    return val;
-                },
+                coerce: normalizeBuildType,
                 choices: ['development', 'debug', 'production', 'release']
             })
             .option('localrnruntimepath', {
@@ -170,6 +271,37 @@ const args = require('yargs')
                 describe: 'if set true, progress bar will show',
                 default: false,
                 type: 'boolean'
+            })
+            .option('force', {
+                describe: 'If set to true, then the project is built even when the inputs are same as an earlier build.',
+                default: false,
+                type: 'boolean'
+            })
+            .option('from-phase', {
+                alias: 'fromPhase',
+                describe: 'resumes the build in --dest from this phase. Earlier phases should have completed in a previous build.',
+                choices: BUILD_PHASES
+            })
+            .option('to-phase', {
+                alias: 'toPhase',
+                describe: 'stops the build after this phase.',
+                choices: BUILD_PHASES
+            })
+            .option('incremental', {
+                describe: 'If set to true, then the earlier build in --dest is reused. node_modules and the native project are kept, unless their inputs have changed.',
+                default: false,
+                type: 'boolean'
+            })
+            .option('variants', {
+                describe: 'path of the json file with the variants (app id, name, version, icon, splash, serverPath and app.json changes) to build from the project.',
+                type: 'string',
+                normalize: true
+            })
+            .option('dry-run', {
+                alias: 'dryRun',
+                describe: 'prints the plan of the build (dest, signing, file changes and commands) without changing anything.',
+                default: false,
+                type: 'boolean'
             });
     })
     .command('eject expo [src] [dest]',
@@ -188,7 +320,7 @@ const args = require('yargs')
             })
         },
         (args) => {
-            ejectProject(args);
+            return runCommand(() => ejectProject(args));
     }).command(
         'prepare expo [src] [dest]',
         'Prepare Expo and generate RN native project.',
@@ -208,7 +340,7 @@ const args = require('yargs')
             });
         },
         async (args) => {
-            prepareProject(args);
+            await runCommand(() => prepareProject(args));
         }
       ).command('embed', '',
         yargs => {
@@ -217,14 +349,18 @@ const args = require('yargs')
                 yargs => {},
                 (args) => {
                 args.platform = 'android';
-                return embed(args);
+                loadProjectConfig(args);
+                return runCommand(() => embed(args));
             }).command('ios [src]',
                 'Embed React Native project with Native iOS project.',
                 yargs => {},
                 (args) => {
                 args.platform = 'ios';
-                return embed(args);
-            }).positional('src', {
+                loadProjectConfig(args);
+                return runCommand(() => embed(args));
+            });
+            addProjectConfigOptions(yargs)
+            .positional('src', {
                 describe: 'path of React Native project',
                 default: './',
                 type: 'string',
@@ -279,8 +415,10 @@ const args = require('yargs')
                     default: false,
                     type: 'boolean'
                 });
+                addProjectConfigOptions(yargs);
             },
             (args) => {
+                loadProjectConfig(args);
                 if (args.clean) {
                     localStorage.clear();
                 }
@@ -296,12 +434,13 @@ const args = require('yargs')
                 const splits = args.previewUrl.split('#');
                 args.previewUrl = splits[0];
                 const authToken = splits[1];
+                registerSecret(authToken);
                 if (args.esbuild) {
                     overallProgressBar.setTotal(totalCount-previewSteps[4].total);
-                    runESBuildWebPreview(args.previewUrl, args.clean, authToken);
+                    return runCommand(() => runESBuildWebPreview(args.previewUrl, args.clean, authToken));
                 } else {
                     overallProgressBar.setTotal(totalCount);
-                    runWeb(args.previewUrl, args.clean, authToken, args.proxyHost, args.basePath);
+                    return runCommand(() => runWeb(args.previewUrl, args.clean, authToken, args.proxyHost, args.basePath));
                 }
         }).command('android <previewUrl>',
             'launches React Native app in a Android device.',
@@ -360,7 +499,9 @@ const args = require('yargs')
             default: false,
             type: 'boolean'
         });
+        addProjectConfigOptions(yargs);
     }, (args) => {
+        loadProjectConfig(args);
         if (args.clean) {
             localStorage.clear();
         }
@@ -374,7 +515,207 @@ const args = require('yargs')
         global.verbose = args.verbose;
         const totalCount = calculateTotalSteps(previewSteps);
         overallProgressBar.setTotal(totalCount);
-        sync(args.previewUrl, args.clean, args.useProxy);
+        return runCommand(() => sync(args.previewUrl, args.clean, args.useProxy));
+    })
+    .command('doctor [platform]', 'checks all the requirements and suggests fixes for the missing ones', (yargs) => {
+        yargs.positional('platform', {
+            describe: 'platform to check the requirements for. If not given, all the requirements are checked.',
+            choices: ['android', 'ios', 'preview'],
+            type: 'string'
+        }).option('json', {
+            describe: 'If set to true, then the report is printed as json.',
+            default: false,
+            type: 'boolean'
+        });
+    }, async (args) => {
+        const result = await doctor(args);
+        if (!result.success) {
+            process.exitCode = EXIT_CODES.PREREQUISITES_MISSING;
+        }
+    })
+    .command('cache', 'manages the cache of node_modules shared by the builds and previews', (yargs) => {
+        yargs.command('stats', 'prints the entries and the size of the cache', (yargs) => {
+            yargs.option('json', {
+                describe: 'If set to true, then the stats are printed as json.',
+                default: false,
+                type: 'boolean'
+            });
+        }, (args) => {
+            printCacheStats(args);
+        }).command('prune', 'removes the cache entries that are not used recently', (yargs) => {
+            yargs.option('days', {
+                describe: 'entries that are not used in these many days are removed.',
+                default: 30,
+                type: 'number'
+            }).option('all', {
+                describe: 'If set to true, then all the entries are removed.',
+                default: false,
+                type: 'boolean'
+            });
+        }, (args) => {
+            pruneCache(args);
+        }).demandCommand(1);
+    })
+    .command('builds', 'lists and cleans the earlier builds', (yargs) => {
+        yargs.command('list', 'lists the earlier builds', (yargs) => {
+            yargs.option('appId', {
+                describe: 'lists the builds of this app only.',
+                type: 'string'
+            }).option('platform', {
+                describe: 'lists the builds of this platform only.',
+                choices: ['android', 'ios'],
+                type: 'string'
+            }).option('json', {
+                describe: 'If set to true, then the builds are printed as json.',
+                default: false,
+                type: 'boolean'
+            });
+        }, (args) => {
+            listBuilds(args);
+        }).command('show <id>', 'prints the details of a build', (yargs) => {
+            yargs.option('json', {
+                describe: 'If set to true, then the build is printed as json.',
+                default: false,
+                type: 'boolean'
+            });
+        }, (args) => {
+            return runCommand(() => showBuild(args));
+        }).command('open <id>', 'opens the folder containing the artifact of a build', () => {}, (args) => {
+            return runCommand(() => openBuild(args));
+        }).command('prune', 'removes the older builds along with their folders', (yargs) => {
+            yargs.option('keep', {
+                describe: 'number of latest builds to keep for every app and platform.',
+                default: 5,
+                type: 'number'
+            }).option('appId', {
+                describe: 'prunes the builds of this app only.',
+                type: 'string'
+            }).option('platform', {
+                describe: 'prunes the builds of this platform only.',
+                choices: ['android', 'ios'],
+                type: 'string'
+            });
+        }, (args) => {
+            pruneBuilds(args);
+        }).demandCommand(1);
+    })
+    .command('diff <dest>', 'prints the changes made by the cli to the files of a build folder', (yargs) => {
+        yargs.positional('dest', {
+            describe: 'dest folder of the build',
+            type: 'string',
+            normalize: true
+        }).option('file', {
+            describe: 'prints the changes of this file only (path relative to dest).',
+            type: 'string'
+        }).option('color', {
+            describe: 'If set to false, then the diff is printed without colors.',
+            default: true,
+            type: 'boolean'
+        });
+    }, (args) => {
+        return runCommand(() => printDiff(args));
+    })
+    .command('revert <dest>', 'restores the files of a build folder changed by the cli', (yargs) => {
+        yargs.positional('dest', {
+            describe: 'dest folder of the build',
+            type: 'string',
+            normalize: true
+        }).option('force', {
+            describe: 'If set to true, then the files changed after the build are also restored.',
+            default: false,
+            type: 'boolean'
+        });
+    }, (args) => {
+        return runCommand(() => revert(args));
+    })
+    .command('keystore', 'creates and checks the keystores used to sign the android builds', (yargs) => {
+        yargs.command('create <keyStore>', 'creates a keystore with a new upload key', (yargs) => {
+            addKeyStoreOptions(yargs).option('aka', {
+                alias: 'aKeyAlias',
+                describe: 'alias of the key.',
+                default: 'upload',
+                type: 'string'
+            }).option('akp', {
+                alias: 'aKeyPassword',
+                describe: 'password of the key. It should be same as the store password, if given.',
+                type: 'string'
+            }).option('validity', {
+                describe: 'number of days the certificate of the key is valid for.',
+                default: 10000,
+                type: 'number'
+            }).option('dname', {
+                describe: 'distinguished name of the owner of the key (ex: "CN=Name, O=Organization, C=US"). Default: CN=<alias>',
+                type: 'string'
+            });
+        }, (args) => {
+            return runCommand(() => createKeyStore(args));
+        }).command('inspect <keyStore>', 'prints the aliases of a keystore with the validity and the fingerprints of their certificates', (yargs) => {
+            addKeyStoreOptions(yargs).option('aka', {
+                alias: 'aKeyAlias',
+                describe: 'prints this alias only.',
+                type: 'string'
+            }).option('json', {
+                describe: 'If set to true, then the details are printed as json.',
+                default: false,
+                type: 'boolean'
+            });
+        }, (args) => {
+            return runCommand(() => inspectKeyStore(args));
+        }).command('verify <keyStore>', 'checks that the store and key passwords unlock the alias, as in the release build', (yargs) => {
+            addKeyStoreOptions(yargs).option('aka', {
+                alias: 'aKeyAlias',
+                describe: 'alias of the key.',
+                type: 'string',
+                demandOption: true
+            }).option('akp', {
+                alias: 'aKeyPassword',
+                describe: 'password of the key. Can be env:NAME, file:/path or stdin.',
+                type: 'string',
+                demandOption: true
+            });
+        }, (args) => {
+            return runCommand(() => checkKeyStore(args));
+        }).demandCommand(1);
+    })
+    .command('serve', 'starts a build server, that builds the projects posted to it', (yargs) => {
+        yargs.option('port', {
+            describe: 'port of the build server.',
+            default: 8090,
+            type: 'number'
+        }).option('host', {
+            describe: 'host name or ip address to listen on. Use 0.0.0.0 to accept the jobs from other machines.',
+            default: 'localhost',
+            type: 'string'
+        }).option('concurrency', {
+            describe: 'number of jobs that can run at a time.',
+            default: 1,
+            type: 'number'
+        }).option('config', {
+            describe: 'path of the project config file, that has the profiles the jobs can use.',
+            type: 'string'
+        }).option('token', {
+            describe: 'token, that the requests should have (Authorization: Bearer <token>). It can be given as the WM_RN_SERVER_TOKEN environment variable too. When not given, a token is generated and printed.',
+            type: 'string'
+        }).option('max-upload-size', {
+            alias: 'maxUploadSize',
+            describe: 'maximum size of the project zip in MB.',
+            default: 500,
+            type: 'number'
+        });
+    }, (args) => {
+        return runCommand(() => serve(args));
+    })
+    .option('output', {
+        describe: 'text (or) json. In json mode, progress and logs are written to stdout as newline delimited json events.',
+        choices: ['text', 'json'],
+        default: 'text',
+        global: true
+    })
+    .middleware(args => {
+        if (args.output === 'json') {
+            eventStream.enable();
+            logger.enableEventStream();
+        }
     })
     .help('h')
     .alias('h', 'help').argv;
@@ -10,44 +10,44 @@ const {
     validateForAndroid,
     checkForAndroidStudioAvailability
 } = require('./requirements');
-const { readAndReplaceFileContent } = require('./utils');
+const { readAndReplaceFileContent, writeFileContent, appendFileContent } = require('./utils');
 const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { SigningError, ArtifactError } = require('./errors');
+const { applyPatches, injectBlock } = require('./patches');
+const { verifyKeyStore } = require('./keystore');
+const { getKeyStoreFingerprints } = require('./signing');
+const { checkSigningKey, recordSigningKey } = require('./signing-registry');
+const { verifyArtifact } = require('./artifact-verifier');
+const { setProperties, parsePropertyOptions } = require('./properties-editor');
 const {androidBuildSteps} = require('./custom-logger/steps');
 
 const loggerLabel = 'android-build';
 
-function setKeyStoreValuesInGradleProps(content, keystoreName, ksData) {
-    // TODO: if key pwds are changed, then just update the values.
-    if(content.search(/MYAPP_UPLOAD_STORE_PASSWORD/gm) == -1) {
-        return content.concat(` \n MYAPP_UPLOAD_STORE_FILE=${keystoreName}
-        MYAPP_UPLOAD_KEY_ALIAS=${ksData.keyAlias}
-        MYAPP_UPLOAD_STORE_PASSWORD=${ksData.storePassword}
-        MYAPP_UPLOAD_KEY_PASSWORD=${ksData.keyPassword}`);
-    }
-    return content;
-}
 // Reference: http://reactnative.dev/docs/signed-apk-android
-async function generateSignedApk(keyStore, storePassword, keyAlias, keyPassword, packageType) {
-    const ksData = {storePassword: storePassword, keyAlias: keyAlias, keyPassword: keyPassword};
+async function generateSignedApk(keyStore, storePassword, keyAlias, keyPassword, packageType, gradleProp) {
     const namesArr = keyStore.split('/');
     const keystoreName = namesArr[namesArr.length - 1];
     const filepath = config.src + 'android/app/' + keystoreName;
 
-    fs.copyFileSync(keyStore, filepath);
+    writeFileContent(filepath, fs.readFileSync(keyStore), 'keystore of the release build');
 
     // edit file android/gradle.properties
     const gradlePropsPath = config.src + 'android/gradle.properties';
     if (fs.existsSync(gradlePropsPath)) {
-        let data = fs.readFileSync(gradlePropsPath, 'utf8');
-        let content = await setKeyStoreValuesInGradleProps(data, keystoreName, ksData);
-        fs.writeFileSync(gradlePropsPath, content);
+        setProperties(gradlePropsPath, {
+            MYAPP_UPLOAD_STORE_FILE: keystoreName,
+            MYAPP_UPLOAD_KEY_ALIAS: keyAlias,
+            MYAPP_UPLOAD_STORE_PASSWORD: storePassword,
+            MYAPP_UPLOAD_KEY_PASSWORD: keyPassword
+        }, 'signing properties of the release build');
     }
+    setGradlePropOptions(gradleProp);
 
     const appGradlePath = config.src + 'android/app/build.gradle';
     let content = fs.readFileSync(appGradlePath, 'utf8');
     content = await updateSigningConfig(content);
-    fs.writeFileSync(appGradlePath, content);
-    await generateAab(packageType);
+    writeFileContent(appGradlePath, content, 'release signing config');
+    return await generateAab(packageType);
 }
 
 function updateSigningConfig(content) {
@@ -67,13 +67,20 @@ function updateSigningConfig(content) {
     return content;
 }
 
+// properties given with --gradle-prop are set after the ones set by the cli, so that they can change them.
+function setGradlePropOptions(gradleProp) {
+    if (gradleProp) {
+        setProperties(config.src + 'android/gradle.properties', parsePropertyOptions(gradleProp), '--gradle-prop option');
+    }
+}
+
 function updateJSEnginePreference() {
     const jsEngine = require(config.src + 'app.json').expo.jsEngine;
     const gradlePropsPath = config.src + 'android/gradle.properties';
-    if (fs.existsSync(gradlePropsPath)) {
-        let data = fs.readFileSync(gradlePropsPath, 'utf8');
-        data = data.replace(/expo\.jsEngine=(jsc|hermes)/, `expo.jsEngine=${jsEngine}`)
-        fs.writeFileSync(gradlePropsPath, data);
+    if (jsEngine && fs.existsSync(gradlePropsPath)) {
+        setProperties(gradlePropsPath, {
+            'expo.jsEngine': jsEngine
+        }, 'js engine of app.json');
         logger.info({
             label: loggerLabel,
             message: `js engine is set as ${jsEngine}`
@@ -86,7 +93,7 @@ function setSigningConfigInGradle() {
 
     let content = fs.readFileSync(gradlePath, 'utf8');
     content = updateSigningConfig(content);
-    fs.writeFileSync(gradlePath, content);
+    writeFileContent(gradlePath, content, 'release signing config');
 
     generateAab();
 }
@@ -96,7 +103,7 @@ function addKeepFileEntries() {
     const data = `<?xml version="1.0" encoding="utf-8"?>
     <resources xmlns:tools="http://schemas.android.com/tools"
 tools:keep="@raw/*_fontawesome,@raw/*__streamlinelighticon, @raw/*_wavicon, @raw/*_streamlineregularicon" />`;
-    fs.appendFileSync(config.src + 'android/app/src/main/res/raw/keep.xml', data);
+    appendFileContent(config.src + 'android/app/src/main/res/raw/keep.xml', data, 'resources to keep');
 }
 
 
@@ -139,33 +146,53 @@ function findFile(path, nameregex) {
     return endWith(path, '/') + f;
 }
 
-function addProguardRule() {
+async function addProguardRule() {
     const proguardRulePath = config.src + 'android/app/proguard-rules.pro';
     if (fs.existsSync(proguardRulePath)) {
-        var data = `-keep class com.facebook.react.turbomodule.** { *; }`;
-        fs.appendFileSync(proguardRulePath,data, 'utf8');
+        await injectBlock(proguardRulePath, {
+            name: 'keep-turbo-modules',
+            description: 'proguard rule of turbo modules',
+            content: `-keep class com.facebook.react.turbomodule.** { *; }`,
+            comment: '#',
+            required: true
+        });
         logger.info('***** added proguard rule ******')
     }
 }
 
-function updateOptimizationFlags() {
+async function updateOptimizationFlags() {
     logger.info('***** into optimization ******')
     const buildGradlePath = config.src + 'android/app/build.gradle';
     if (fs.existsSync(buildGradlePath)) {
-        let content = fs.readFileSync(buildGradlePath, 'utf8');
-        if (content.search(`def enableProguardInReleaseBuilds = false`) > -1) {
-            content = content.replace(/def enableProguardInReleaseBuilds = false/gm, `def enableProguardInReleaseBuilds = true`)
-                .replace(/minifyEnabled enableProguardInReleaseBuilds/gm, `minifyEnabled enableProguardInReleaseBuilds\n shrinkResources false\n`);
-        }
-        content = content.replace(
-            /shrinkResources\s*\(\sfindProperty\('android\.enableShrinkResourcesInReleaseBuilds'\)\?.?:\sfalse\s\)/g,
-            "shrinkResources true"
-          )
-          .replace(
-            /minifyEnabled\s+\(?\s*(enableProguardInReleaseBuilds)\s*\)?/g,
-            "minifyEnabled true\n    " // Adds a proper newline & indentation
-          );
-        fs.writeFileSync(buildGradlePath, content);
+        const hasProguardFlag = fs.readFileSync(buildGradlePath, 'utf8').search(`def enableProguardInReleaseBuilds = false`) > -1;
+        // older templates turn off proguard with a flag.
+        await applyPatches(buildGradlePath, [...(hasProguardFlag ? [{
+            name: 'enable-proguard',
+            description: 'proguard in the release build',
+            find: /def enableProguardInReleaseBuilds = false/gm,
+            replace: `def enableProguardInReleaseBuilds = true`,
+            required: false
+        }, {
+            name: 'keep-resources',
+            description: 'resources are not shrunk in the release build',
+            find: /minifyEnabled enableProguardInReleaseBuilds/gm,
+            replace: `minifyEnabled enableProguardInReleaseBuilds\n shrinkResources false\n`,
+            required: false
+        }] : []), {
+            name: 'shrink-resources',
+            description: 'resources are shrunk in the release build',
+            find: /shrinkResources\s*\(\sfindProperty\('android\.enableShrinkResourcesInReleaseBuilds'\)\?.?:\sfalse\s\)/g,
+            replace: "shrinkResources true",
+            applied: /shrinkResources true/,
+            required: false
+        }, {
+            name: 'enable-minify',
+            description: 'code is minified in the release build',
+            find: /minifyEnabled\s+\(?\s*(enableProguardInReleaseBuilds)\s*\)?/g,
+            replace: "minifyEnabled true\n    ", // Adds a proper newline & indentation
+            applied: /minifyEnabled true/,
+            required: false
+        }]);
     }
 }
 
@@ -199,7 +226,7 @@ async function updateAndroidBuildGradleFile(type) {
                 await createJSBundle();
             }
         }
-        fs.writeFileSync(buildGradlePath, content);
+        writeFileContent(buildGradlePath, content, `js bundle in the ${type} build`);
     }
 }
 
@@ -208,7 +235,7 @@ function updateSettingsGradleFile(appName) {
     let content = fs.readFileSync(path, 'utf8');
     if (content.search(/^rootProject.name = \'\'/gm) > -1) {
         content = content.replace(/^rootProject.name = \'\'/gm, `rootProject.name = ${appName}`);
-        fs.writeFileSync(path, content);
+        writeFileContent(path, content, 'name of the root project');
     }
 }
 
@@ -367,6 +394,8 @@ async function invokeAndroidBuild(args) {
     taskLogger.start(androidBuildSteps[4].start);
     taskLogger.setTotal(androidBuildSteps[4].total);
     let keyStore, storePassword, keyAlias,keyPassword;
+    // certificate of the release build, recorded against the app id once the build succeeds.
+    let fingerprints = null;
 
     if (args.buildType === 'debug' && !args.aKeyStore) {
         keyStore = __dirname + '/../defaults/android-debug.keystore';
@@ -385,36 +414,50 @@ async function invokeAndroidBuild(args) {
             success: false
         }
     }
-    await readAndReplaceFileContent(
-        `${args.dest}/App.js`,
-        (content) => {
-            return content + `
-            // Remove cookies with no expiry time set
-            (function() {
-                try {
-                    require('@react-native-cookies/cookies').removeSessionCookies();
-                } catch(e) {
-                    console.error(e);
-                }
-            }());
-            `
-        });    
+    await injectBlock(`${args.dest}App.js`, {
+        name: 'remove-session-cookies',
+        description: 'removal of the session cookies',
+        content: `// Remove cookies with no expiry time set
+(function() {
+    try {
+        require('@react-native-cookies/cookies').removeSessionCookies();
+    } catch(e) {
+        console.error(e);
+    }
+}());`,
+        required: true
+    });
     updateJSEnginePreference();
     const appName = config.metaData.name;
     updateSettingsGradleFile(appName);
     if (args.buildType === 'release') {
-        const errors = validateForAndroid(keyStore, storePassword, keyAlias, keyPassword);
+        let errors = validateForAndroid(keyStore, storePassword, keyAlias, keyPassword);
+        // passwords are checked here, as gradle reads the keystore only at the end of the build.
+        if (!errors.length) {
+            errors = await verifyKeyStore(keyStore, storePassword, keyAlias, keyPassword);
+        }
+        if (!errors.length) {
+            fingerprints = await getKeyStoreFingerprints(keyStore, keyAlias, storePassword);
+            const keyChange = checkSigningKey(config.metaData.id, fingerprints, args.allowKeyChange);
+            keyChange && errors.push(keyChange);
+        }
         if (errors.length > 0) {
+            taskLogger.fail(androidBuildSteps[4].fail);
             return {
                 success: false,
-                errors: errors
+                errors: errors,
+                error: new SigningError('invalid signing configuration: ' + errors.join(', '), errors)
             }
         }
-        addProguardRule();
-        updateOptimizationFlags();
+        await addProguardRule();
+        await updateOptimizationFlags();
         updateAndroidBuildGradleFile(args.buildType);
         taskLogger.incrementProgress(1);
-        await generateSignedApk(keyStore, storePassword, keyAlias, keyPassword, args.packageType);
+        const signedBuildResult = await generateSignedApk(keyStore, storePassword, keyAlias, keyPassword, args.packageType, args.gradleProp);
+        if (signedBuildResult && !signedBuildResult.success) {
+            taskLogger.fail(androidBuildSteps[4].fail);
+            return signedBuildResult;
+        }
         taskLogger.succeed(androidBuildSteps[4].succeed);
     } else {
         await updateAndroidBuildGradleFile(args.buildType);
@@ -423,6 +466,7 @@ async function invokeAndroidBuild(args) {
             message: 'Updated build.gradle file with debug configuration'
         });
         taskLogger.incrementProgress(0.5)
+        setGradlePropOptions(args.gradleProp);
         try {
         await exec('./gradlew', ['assembleDebug'], {
             cwd: config.src + 'android'
@@ -443,7 +487,7 @@ async function invokeAndroidBuild(args) {
         message: 'build completed'
     });
     taskLogger.succeed('build completed')
-    const output = args.dest + 'output/android/';
+    const output = config.outputDirectory + 'android/';
     const outputFilePath = `${output}${appName}(${config.metaData.version}).${args.buildType}.${args.packageType === 'bundle' ? 'aab': 'apk'}`;
 
     let bundlePath = null;
@@ -455,9 +499,32 @@ async function invokeAndroidBuild(args) {
     }
     fs.mkdirSync(output, {recursive: true});
     fs.copyFileSync(bundlePath, outputFilePath);
+    taskLogger.start('Verifying the artifact...');
+    const verification = await verifyArtifact(outputFilePath, {
+        appId: config.metaData.id,
+        version: config.metaData.version,
+        certificate: args.buildType === 'release' ? fingerprints : null,
+        architectures: args.architecture
+    });
+    if (verification.problems.length) {
+        taskLogger.fail('Artifact verification failed');
+        return {
+            success: false,
+            verification: verification,
+            errors: verification.problems,
+            error: new ArtifactError('artifact is not valid: ' + verification.problems.join(', '), verification.problems)
+        };
+    }
+    const schemes = verification.signature ? Object.keys(verification.signature.schemes)
+        .filter(s => verification.signature.schemes[s]) : [];
+    taskLogger.succeed(`Artifact verified. Signature schemes: ${schemes.join(', ') || 'not verified'}. ABIs: ${verification.abis.join(', ') || 'none'}`);
+    if (args.buildType === 'release') {
+        recordSigningKey(config.metaData.id, fingerprints, keyAlias);
+    }
     return {
         success: true,
-        output: outputFilePath
+        output: outputFilePath,
+        verification: verification
     };
 }
 
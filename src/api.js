@@ -0,0 +1,115 @@
+const EventEmitter = require('events');
+const command = require('./command');
+const logger = require('./logger');
+const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { calculateTotalSteps, androidBuildSteps } = require('./custom-logger/steps');
+const { EventStream, EVENT_FORMAT_VERSION } = require('./custom-logger/event-stream');
+const { REPORT_FORMAT_VERSION } = require('./build-report');
+const { runInContext, createConfig } = require('./build-context');
+const { applyProjectConfig } = require('./project-config');
+const { loadPlugins } = require('./plugins');
+const { createBuildPlan } = require('./build-plan');
+const { buildVariants } = require('./variants');
+const errors = require('./errors');
+
+// defaults of the options, same as the defaults of `wm-reactnative build`, except autoEject.
+const DEFAULT_OPTIONS = {
+    buildType: 'debug',
+    packageType: 'apk',
+    autoEject: true,
+    verbose: false,
+    force: false
+};
+
+const BUILD_TYPES = {
+    development: 'debug',
+    production: 'release'
+};
+
+function createArgs(options) {
+    if (!options || !options.platform) {
+        throw new errors.CliError('platform is required.');
+    }
+    const args = {
+        ...options,
+        src: options.src || './',
+        interactive: false
+    };
+    try {
+        applyProjectConfig(args);
+    } catch (e) {
+        throw new errors.CliError(e.message, e);
+    }
+    Object.keys(DEFAULT_OPTIONS)
+        .filter(k => args[k] === undefined)
+        .forEach(k => args[k] = DEFAULT_OPTIONS[k]);
+    args.buildType = BUILD_TYPES[args.buildType] || args.buildType;
+    return args;
+}
+
+async function runBuild(options) {
+    taskLogger.overallProgressBar.setTotal(calculateTotalSteps(androidBuildSteps));
+    try {
+        const args = createArgs(options);
+        const result = args.variants ? await buildVariants(args) : await command.build(args);
+        // builds stopped with toPhase do not have a report.
+        return result.report || {
+            success: true,
+            dest: args.dest
+        };
+    } finally {
+        logger.close();
+    }
+}
+
+/**
+ * builds the project. options are the options of `wm-reactnative build <platform>` in camel case
+ * (ex: {src, platform, buildType, aKeyStore, ...}). platform is required.
+ *
+ * Resolves to the build report (see README.md). On failure, rejects with a CliError, whose exitCode
+ * tells the reason. The returned promise has events, an EventEmitter that emits the phase, step,
+ * progress, message and log events of the build and 'event' for every event.
+ * Every build has its own config, logger and progress, so builds can run together in a process.
+ */
+function build(options) {
+    const events = new EventEmitter();
+    const context = {
+        config: createConfig(),
+        eventStream: new EventStream({
+            emitter: events
+        }),
+        verbose: !!(options && options.verbose),
+        interactive: false,
+        rootDir: options && options.rootDir
+    };
+    const promise = new Promise((resolve, reject) => {
+        // starts after the caller has added the listeners.
+        setImmediate(() => {
+            runInContext(context, () => runBuild(options)).then(resolve, reject);
+        });
+    });
+    promise.events = events;
+    return promise;
+}
+
+/**
+ * resolves to the plan of the build (see --dry-run), without changing anything.
+ */
+function plan(options) {
+    return runInContext({
+        config: createConfig(),
+        verbose: false,
+        interactive: false,
+        rootDir: options && options.rootDir
+    }, async () => createBuildPlan(createArgs(options)));
+}
+
+module.exports = {
+    build: build,
+    plan: plan,
+    loadPlugins: loadPlugins,
+    BUILD_PHASES: command.BUILD_PHASES,
+    EVENT_FORMAT_VERSION: EVENT_FORMAT_VERSION,
+    REPORT_FORMAT_VERSION: REPORT_FORMAT_VERSION,
+    ...errors
+};
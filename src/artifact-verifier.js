@@ -0,0 +1,283 @@
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const logger = require('./logger');
+const { exec } = require('./exec');
+const { isWindowsOS } = require('./utils');
+const { parseFingerprints } = require('./signing');
+
+const loggerLabel = 'artifact-verifier';
+// apksigner prints a warning for every unprotected file of META-INF, after the signers.
+const OUTPUT_LINES = 2000;
+
+/*
+ * Checks of the apk (or aab) built by gradle, before it is handed over:
+ *  - signature: verified with apksigner (jarsigner for aab, that has the v1 signature only). The certificate of the
+ *    signer should be the expected one (the certificate of the keystore, in release builds).
+ *  - manifest: package name and version name should be the id and the version in wm_rn_config.json. Manifest of an
+ *    apk is read with aapt2 and of an aab with bundletool.
+ *  - abis: folders of the native libraries in the artifact. When the architectures are given, all of them should be there.
+ * Checks, whose tool is not found, are skipped with a warning.
+ */
+
+// entry names in the central directory of the zip file. Zip64 is not read, as the artifacts are much smaller than 4GB.
+function listZipEntries(file) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const size = fs.fstatSync(fd).size;
+        // end of central directory record is in the last 22 bytes, followed by a comment of up to 64KB.
+        const tail = Buffer.alloc(Math.min(size, 22 + 65535));
+        fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+        const end = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+        if (end < 0) {
+            throw new Error(`${file} is not a zip file.`);
+        }
+        const count = tail.readUInt16LE(end + 10);
+        const directory = Buffer.alloc(tail.readUInt32LE(end + 12));
+        fs.readSync(fd, directory, 0, directory.length, tail.readUInt32LE(end + 16));
+        const names = [];
+        for (let i = 0, offset = 0; i < count; i++) {
+            const nameLength = directory.readUInt16LE(offset + 28);
+            names.push(directory.toString('utf8', offset + 46, offset + 46 + nameLength));
+            offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+        }
+        return names;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// abis of the native libraries (lib/<abi>/*.so in apk, base/lib/<abi>/*.so in aab).
+function getAbis(entries) {
+    const abis = entries.map(e => e.match(/^(?:base\/)?lib\/([^/]+)\/[^/]+\.so$/))
+        .filter(m => m)
+        .map(m => m[1]);
+    return [...new Set(abis)].sort();
+}
+
+function isNotFound(e) {
+    return !!e && e.code === 'ENOENT';
+}
+
+// path of the tool in the latest build-tools of the android sdk.
+function findBuildTool(name) {
+    const sdkRoot = process.env['ANDROID_SDK_ROOT'] || process.env['ANDROID_HOME'];
+    const buildTools = sdkRoot && path.join(sdkRoot, 'build-tools');
+    if (!buildTools || !fs.existsSync(buildTools)) {
+        return null;
+    }
+    const fileName = name + (isWindowsOS() ? (name === 'aapt2' ? '.exe' : '.bat') : '');
+    const version = fs.readdirSync(buildTools)
+        .filter(v => semver.coerce(v) && fs.existsSync(path.join(buildTools, v, fileName)))
+        .sort((a, b) => semver.compare(semver.coerce(a), semver.coerce(b)))
+        .pop();
+    return version ? path.join(buildTools, version, fileName) : null;
+}
+
+function normalizeFingerprint(fingerprint) {
+    return fingerprint ? fingerprint.replace(/:/g, '').toUpperCase() : fingerprint;
+}
+
+function formatFingerprint(fingerprint) {
+    return fingerprint ? normalizeFingerprint(fingerprint).match(/.{2}/g).join(':') : fingerprint;
+}
+
+/**
+ * parses the output of 'apksigner verify --verbose --print-certs'. Resolves to {schemes, signers}, where
+ * schemes has the result of each scheme (ex: {v1: true, v2: true, v3: false}).
+ */
+function parseApkSignerOutput(lines) {
+    const schemes = {};
+    const signers = {};
+    lines.forEach(line => {
+        const scheme = line.match(/^Verified using (v[\d.]+) scheme.*:\s*(true|false)\s*$/);
+        if (scheme) {
+            schemes[scheme[1]] = scheme[2] === 'true';
+        }
+        const signer = line.match(/^Signer #(\d+) certificate (DN|SHA-256 digest|SHA-1 digest):\s*(.*)$/);
+        if (signer) {
+            const details = signers[signer[1]] = signers[signer[1]] || {};
+            const key = {'DN': 'owner', 'SHA-256 digest': 'sha256', 'SHA-1 digest': 'sha1'}[signer[2]];
+            details[key] = key === 'owner' ? signer[3].trim() : formatFingerprint(signer[3].trim());
+        }
+    });
+    return {
+        schemes: schemes,
+        signers: Object.values(signers)
+    };
+}
+
+async function verifyApkSignature(artifact) {
+    const apksigner = findBuildTool('apksigner');
+    if (!apksigner) {
+        return null;
+    }
+    try {
+        const output = await exec(apksigner, ['verify', '--verbose', '--print-certs', artifact], {
+            log: false,
+            bufferSize: OUTPUT_LINES
+        });
+        return {
+            verified: true,
+            ...parseApkSignerOutput(output)
+        };
+    } catch (e) {
+        return {
+            verified: false,
+            schemes: {},
+            signers: []
+        };
+    }
+}
+
+// aab is signed with jarsigner (v1 scheme). The certificate is read with keytool.
+async function verifyBundleSignature(artifact) {
+    try {
+        const output = await exec('jarsigner', ['-J-Duser.language=en', '-verify', artifact], {
+            log: false,
+            bufferSize: OUTPUT_LINES
+        });
+        const verified = output.some(l => l.trim() === 'jar verified.');
+        const certificate = verified ? await exec('keytool', ['-J-Duser.language=en', '-printcert', '-jarfile', artifact], {
+            log: false
+        }) : [];
+        const owner = certificate.find(l => l.trim().startsWith('Owner:'));
+        const fingerprints = parseFingerprints(certificate);
+        return {
+            verified: verified,
+            schemes: {
+                v1: verified
+            },
+            signers: fingerprints.sha256 ? [{
+                owner: owner && owner.trim().substring('Owner:'.length).trim(),
+                sha256: fingerprints.sha256,
+                sha1: fingerprints.sha1
+            }] : []
+        };
+    } catch (e) {
+        if (isNotFound(e)) {
+            return null;
+        }
+        return {
+            verified: false,
+            schemes: {},
+            signers: []
+        };
+    }
+}
+
+// package name, version code and version name in the 'package:' line of 'aapt2 dump badging'.
+async function readApkManifest(artifact) {
+    const aapt2 = findBuildTool('aapt2');
+    if (!aapt2) {
+        return null;
+    }
+    const output = await exec(aapt2, ['dump', 'badging', artifact], {
+        log: false,
+        bufferSize: OUTPUT_LINES
+    });
+    const line = output.find(l => l.startsWith('package:')) || '';
+    const value = (name) => {
+        const match = line.match(new RegExp(`\\s${name}='([^']*)'`));
+        return match ? match[1] : undefined;
+    };
+    return {
+        package: value('name'),
+        versionCode: value('versionCode'),
+        versionName: value('versionName')
+    };
+}
+
+async function readBundleManifest(artifact) {
+    const value = async (attribute) => {
+        const output = await exec('bundletool', ['dump', 'manifest', '--bundle', artifact, '--xpath', `/manifest/@${attribute}`], {
+            log: false
+        });
+        return output.map(l => l.trim()).filter(l => l).pop();
+    };
+    try {
+        return {
+            package: await value('package'),
+            versionCode: await value('android:versionCode'),
+            versionName: await value('android:versionName')
+        };
+    } catch (e) {
+        if (isNotFound(e)) {
+            return null;
+        }
+        throw e;
+    }
+}
+
+function skip(check, tool) {
+    const message = `${check} of the artifact is not verified, as ${tool} is not found.`;
+    logger.warn({
+        label: loggerLabel,
+        message: message
+    });
+    return message;
+}
+
+/**
+ * verifies the artifact built by gradle. expected has the appId, version, certificate (fingerprints of the
+ * certificate, that should sign the artifact) and architectures. Resolves to
+ * {artifact, signature: {verified, schemes, signers}, manifest: {package, versionCode, versionName}, abis, skipped, problems},
+ * where problems lists the mismatches.
+ */
+async function verifyArtifact(artifact, expected) {
+    const isBundle = artifact.endsWith('.aab');
+    const problems = [];
+    const skipped = [];
+    const signature = isBundle ? await verifyBundleSignature(artifact) : await verifyApkSignature(artifact);
+    if (!signature) {
+        skipped.push(skip('signature', isBundle ? 'jarsigner' : 'apksigner of the android sdk build-tools'));
+    } else if (!signature.verified) {
+        problems.push('artifact is not signed or its signature is not valid.');
+    } else if (expected.certificate && expected.certificate.sha256) {
+        const sha256 = normalizeFingerprint(expected.certificate.sha256);
+        if (!signature.signers.some(s => normalizeFingerprint(s.sha256) === sha256)) {
+            problems.push(`artifact is signed with the certificate (SHA-256) ${signature.signers.map(s => s.sha256).join(', ')}, `
+                + `instead of ${formatFingerprint(sha256)} of the keystore.`);
+        }
+    }
+    let manifest;
+    try {
+        manifest = isBundle ? await readBundleManifest(artifact) : await readApkManifest(artifact);
+    } catch (e) {
+        problems.push('manifest of the artifact could not be read.');
+    }
+    if (manifest === null) {
+        skipped.push(skip('manifest', isBundle ? 'bundletool' : 'aapt2 of the android sdk build-tools'));
+    } else if (manifest) {
+        if (expected.appId && manifest.package !== expected.appId) {
+            problems.push(`package name in the manifest is ${manifest.package}, instead of ${expected.appId}.`);
+        }
+        if (expected.version && manifest.versionName !== expected.version) {
+            problems.push(`version name in the manifest is ${manifest.versionName}, instead of ${expected.version}.`);
+        }
+    }
+    const abis = getAbis(listZipEntries(artifact));
+    const missingAbis = (expected.architectures || []).filter(a => !abis.includes(a));
+    if (missingAbis.length) {
+        problems.push(`artifact does not have the native libraries of ${missingAbis.join(', ')}.`);
+    }
+    const verification = {
+        artifact: artifact,
+        signature: signature,
+        manifest: manifest || null,
+        abis: abis,
+        skipped: skipped,
+        problems: problems
+    };
+    logger.info({
+        label: loggerLabel,
+        message: `verified ${artifact}: ${JSON.stringify(verification)}`
+    });
+    return verification;
+}
+
+module.exports = {
+    listZipEntries: listZipEntries,
+    parseApkSignerOutput: parseApkSignerOutput,
+    verifyArtifact: verifyArtifact
+};
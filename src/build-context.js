@@ -0,0 +1,112 @@
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Builds started with the api (see api.js) run in their own context, so that the builds running
+ * together in a process do not share the config, logger, event stream and progress of each other.
+ * Outside of a context (i.e. the cli), the process wide values are used.
+ *
+ * A context is {config, eventStream, verbose, interactive, rootDir, logDirectory}.
+ */
+const storage = new AsyncLocalStorage();
+
+function createConfig() {
+    return {
+        src: '',
+        buildType: '',
+        logDirectory: '',
+        outputDirectory: '',
+        metaData: {},
+        embed: false,
+        // dest folder, whose changes are recorded (see journal.js)
+        journal: '',
+        // results of the patches applied in the build (see patches.js)
+        patches: []
+    };
+}
+
+function runInContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+function getContext() {
+    return storage.getStore();
+}
+
+function getRootDir() {
+    const context = getContext();
+    return (context && context.rootDir) || global.rootDir
+        || process.env.WM_REACTNATIVE_CLI || `${os.homedir()}/.wm-reactnative-cli`;
+}
+
+function isVerbose() {
+    const context = getContext();
+    return context ? !!context.verbose : !!global.verbose;
+}
+
+// prompts are not shown in a context, unless it is interactive.
+function isInteractive() {
+    const context = getContext();
+    return !context || !!context.interactive;
+}
+
+function getLogDirectory() {
+    const context = getContext();
+    return context ? context.logDirectory : global.logDirectory;
+}
+
+function setLogDirectory(logDirectory) {
+    const context = getContext();
+    if (context) {
+        context.logDirectory = logDirectory;
+    } else {
+        global.logDirectory = logDirectory;
+    }
+}
+
+/**
+ * returns an object that forwards to the value of key in the current context. The value is created
+ * with create(context) on first use. Outside of a context, it forwards to fallback.
+ */
+function contextual(key, create, fallback) {
+    const resolve = () => {
+        const context = getContext();
+        if (!context) {
+            return fallback;
+        }
+        if (!context[key]) {
+            context[key] = create(context);
+        }
+        return context[key];
+    };
+    return new Proxy(fallback, {
+        get: (target, prop) => {
+            const instance = resolve();
+            const value = instance[prop];
+            return typeof value === 'function' ? value.bind(instance) : value;
+        },
+        set: (target, prop, value) => {
+            resolve()[prop] = value;
+            return true;
+        },
+        has: (target, prop) => prop in resolve(),
+        deleteProperty: (target, prop) => delete resolve()[prop],
+        ownKeys: () => Reflect.ownKeys(resolve()),
+        getOwnPropertyDescriptor: (target, prop) => {
+            const descriptor = Reflect.getOwnPropertyDescriptor(resolve(), prop);
+            return descriptor && {...descriptor, configurable: true};
+        }
+    });
+}
+
+module.exports = {
+    createConfig: createConfig,
+    runInContext: runInContext,
+    getContext: getContext,
+    getRootDir: getRootDir,
+    isVerbose: isVerbose,
+    isInteractive: isInteractive,
+    getLogDirectory: getLogDirectory,
+    setLogDirectory: setLogDirectory,
+    contextual: contextual
+};
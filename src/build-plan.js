@@ -0,0 +1,334 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { unzip } = require('./zip');
+const { BUILD_PHASES, getNextDestination, readWmRNConfig, includesNativeBuild } = require('./command');
+const { validateForAndroid, validateForIos } = require('./requirements');
+const { resolveSecretOptions } = require('./secrets');
+const { isCached } = require('./dependency-cache');
+const { isPrepared, isEjected } = require('./project-state');
+const { parsePropertyOptions } = require('./properties-editor');
+const { computeFingerprint, findMatchingBuild } = require('./fingerprint');
+const { findHooks, getHookName } = require('./hooks');
+const { eventStream } = require('./custom-logger/event-stream');
+const { SigningError } = require('./errors');
+const { getRootDir } = require('./build-context');
+
+const MASK = '****';
+const NOT_GIVEN = '(not given)';
+
+/*
+ * Plan of a build (--dry-run). It tells what the build would do, without doing it.
+ * Every phase has steps. A step is {type, target, description}, where type is
+ *  - command: an external command, with the folder it runs in as target
+ *  - file: a change to a file of the project
+ *  - copy: a file or folder copied to target
+ *  - check, prompt or note: other things the build does
+ * The native files do not exist before the eject. So, changes to them are described, not computed.
+ */
+
+function step(type, target, description) {
+    return {
+        type: type,
+        target: target,
+        description: description
+    };
+}
+
+function command(cwd, cmd) {
+    return step('command', cwd, cmd);
+}
+
+function readJSON(file) {
+    return fs.existsSync(file) ? fs.readJSONSync(file) : null;
+}
+
+function getJsEngine(appJson) {
+    const jsEngine = appJson && appJson.expo && appJson.expo.jsEngine;
+    return jsEngine ? `expo.jsEngine=${jsEngine}` : 'expo.jsEngine is set from app.json (not set in app.json).';
+}
+
+function getAndroidSigning(args) {
+    if (args.buildType !== 'release') {
+        return {
+            mode: 'debug',
+            description: 'debug keystore of the project (android/app/debug.keystore)',
+            problems: []
+        };
+    }
+    return {
+        mode: 'keystore',
+        keyStore: args.aKeyStore,
+        keyAlias: args.aKeyAlias,
+        description: `keystore ${args.aKeyStore || NOT_GIVEN} (alias: ${args.aKeyAlias || NOT_GIVEN})`,
+        problems: validateForAndroid(args.aKeyStore, args.aStorePassword, args.aKeyAlias, args.aKeyPassword)
+    };
+}
+
+function getIosSigning(args) {
+    return {
+        mode: 'certificate',
+        certificate: args.iCertificate,
+        provisioningFile: args.iProvisioningFile,
+        description: `certificate ${args.iCertificate || NOT_GIVEN} with provisioning profile ${args.iProvisioningFile || NOT_GIVEN}`,
+        problems: validateForIos(args.iCertificate, args.iCertificatePassword, args.iProvisioningFile, args.buildType)
+    };
+}
+
+function getSetupSteps(args, plan) {
+    const steps = [];
+    if (plan.zip) {
+        steps.push(step('copy', `${getRootDir()}/temp/${path.basename(plan.zip, '.zip')}/<time>/src`, `${plan.zip} is extracted`));
+    }
+    if (plan.destExists && args.incremental) {
+        steps.push(step('note', plan.dest, 'files of the earlier build are removed, except node_modules, android, ios and output.'));
+    } else if (plan.destExists) {
+        steps.push(step('prompt', plan.dest, 'dest folder is not empty. You will be asked to empty it.'));
+    }
+    steps.push(step('copy', plan.dest, `project is copied from ${plan.src}`));
+    return steps;
+}
+
+function getPrepareSteps(args, plan, srcDir) {
+    const steps = [step('check', null, `prerequisites of ${args.platform} are checked (see wm-reactnative doctor).`)];
+    if (args.incremental && plan.destExists && isPrepared(plan.dest, srcDir)) {
+        steps.push(step('note', null, 'node_modules of the earlier build is up to date.'));
+    } else if (isCached(srcDir, 'build')) {
+        steps.push(step('copy', `${plan.dest}node_modules`, 'node_modules is linked from the dependency cache.'));
+    } else {
+        steps.push(command(plan.dest, 'npm install'));
+    }
+    return steps;
+}
+
+function getEjectSteps(args, plan, srcDir) {
+    const steps = [];
+    if (!args.autoEject) {
+        steps.push(step('prompt', null, 'You will be asked to confirm the eject. Use --auto-eject to skip it.'));
+    }
+    if (args.incremental && plan.destExists && isEjected(plan.dest, args.platform, srcDir)) {
+        steps.push(step('note', null, `${args.platform} project of the earlier build is up to date.`));
+    } else {
+        if (plan.destExists && fs.existsSync(`${plan.dest}${args.platform}`)) {
+            steps.push(step('note', `${plan.dest}${args.platform}`, 'native project of the earlier build is removed.'));
+        }
+        steps.push(command(plan.dest, `npx expo prebuild --platform ${args.platform}`));
+    }
+    if (args.localrnruntimepath) {
+        steps.push(step('copy', `${plan.dest}node_modules/@wavemaker/app-rn-runtime`, `copied from ${args.localrnruntimepath}`));
+    }
+    return steps;
+}
+
+// --gradle-prop values are set right before gradle runs, after the properties set by the cli.
+function getGradlePropSteps(args, dest) {
+    if (!args.gradleProp) {
+        return [];
+    }
+    const properties = parsePropertyOptions(args.gradleProp);
+    return [step('file', `${dest}android/gradle.properties`, Object.keys(properties).map(k => `${k}=${properties[k]}`).join(', '))];
+}
+
+function getAndroidSteps(args, plan, metaData, appJson) {
+    const dest = plan.dest;
+    const steps = [
+        step('file', `${dest}App.js`, 'a block removing the session cookies (@react-native-cookies/cookies) is added between markers.'),
+        step('file', `${dest}android/gradle.properties`, getJsEngine(appJson)),
+        step('file', `${dest}android/settings.gradle`, `rootProject.name = ${metaData.name}, when it is empty.`)
+    ];
+    if (args.buildType === 'release') {
+        const keystoreName = path.basename(args.aKeyStore || '');
+        steps.push(
+            step('file', `${dest}android/app/proguard-rules.pro`, '-keep class com.facebook.react.turbomodule.** { *; } is added between markers.'),
+            step('file', `${dest}android/app/build.gradle`, 'proguard, minify and shrinkResources are enabled for release.'),
+            step('file', `${dest}android/app/build.gradle`, 'JS bundle is included in the release build.'),
+            step('copy', `${dest}android/app/${keystoreName}`, `keystore is copied from ${args.aKeyStore}`),
+            step('file', `${dest}android/gradle.properties`, `MYAPP_UPLOAD_STORE_FILE=${keystoreName}, MYAPP_UPLOAD_KEY_ALIAS=${args.aKeyAlias}, `
+                + `MYAPP_UPLOAD_STORE_PASSWORD=${MASK}, MYAPP_UPLOAD_KEY_PASSWORD=${MASK}`),
+            step('file', `${dest}android/app/build.gradle`, 'signingConfigs.release is added and used in place of signingConfigs.debug.'),
+            ...getGradlePropSteps(args, dest),
+            command(`${dest}android`, './gradlew clean'),
+            command(`${dest}android`, args.packageType === 'bundle' ? './gradlew :app:bundleRelease' : './gradlew assembleRelease')
+        );
+    } else {
+        steps.push(
+            step('file', `${dest}android/app/build.gradle`, 'JS bundle is included in the debug build. When build.gradle does not have '
+                + 'the bundle settings, the bundle is created with npx expo export:embed.'),
+            ...getGradlePropSteps(args, dest),
+            command(`${dest}android`, './gradlew assembleDebug')
+        );
+    }
+    const extension = args.packageType === 'bundle' ? 'aab' : 'apk';
+    steps.push(step('copy', `${dest}output/android/${metaData.name}(${metaData.version}).${args.buildType}.${extension}`, 'artifact'));
+    return steps;
+}
+
+function getIosSteps(args, plan, metaData, appJson) {
+    const dest = plan.dest;
+    const steps = [
+        command(`${dest}ios`, 'pod install'),
+        step('file', `${dest}ios/Podfile.properties.json`, getJsEngine(appJson)),
+        command(null, 'openssl pkcs12 (a copy of the certificate with a one-time password), security create-keychain, unlock-keychain and import (a temporary keychain for the certificate)'),
+        step('copy', '~/Library/MobileDevice/Provisioning Profiles/<uuid>.mobileprovision', `copied from ${args.iProvisioningFile}`),
+        step('file', `${dest}ios/Podfile`, 'post_install is updated to turn off the code signing of the resource bundles.'),
+        command(`${dest}ios`, 'pod install')
+    ];
+    if (args.buildType !== 'release') {
+        steps.push(step('file', `${dest}ios/<project>.xcodeproj/project.pbxproj`, 'JS bundle is included in the debug build.'),
+            step('file', `${dest}ios/<project>/AppDelegate`, 'app loads the embedded JS bundle.'));
+    }
+    steps.push(
+        command(`${dest}ios`, `xcodebuild -workspace <project>.xcworkspace -configuration ${args.buildType === 'release' ? 'Release' : 'Debug'} archive`),
+        step('file', `${dest}ios/exportOptions.plist`, 'export options of the archive.'),
+        command(`${dest}ios`, 'xcodebuild -exportArchive'),
+        command(null, 'security delete-keychain'),
+        step('copy', `${dest}output/ios/<project>(${metaData.version}).${args.buildType}.ipa`, 'artifact')
+    );
+    return steps;
+}
+
+function getNativeBuildSteps(args, plan, metaData, appJson) {
+    const steps = [];
+    if (!(metaData.sslPinning && metaData.sslPinning.enabled)) {
+        steps.push(step('file', `${plan.dest}App.js`, 'SSL pinning check is turned off (isSslPinningAvailable()), as it is not enabled in wm_rn_config.json.'));
+    }
+    if (args.architecture && args.platform === 'android') {
+        steps.push(step('file', `${plan.dest}android/gradle.properties`, `reactNativeArchitectures=${args.architecture.join(',')}`));
+    }
+    if (args.platform === 'android') {
+        return steps.concat(getAndroidSteps(args, plan, metaData, appJson));
+    }
+    return steps.concat(getIosSteps(args, plan, metaData, appJson));
+}
+
+function getHookSteps(hookName, args, srcDir) {
+    return findHooks(hookName, {
+        hooks: args.hooks,
+        projectHooks: args.projectHooks,
+        src: srcDir
+    }).map(hook => step('command', null, `${hookName} hook: ${typeof hook === 'function' ? (hook.name || 'function') : hook}`));
+}
+
+/**
+ * returns the plan of the build. Nothing is changed, other than a temporary folder to read the project zip.
+ */
+async function createBuildPlan(args) {
+    await resolveSecretOptions(args);
+    const isZip = args.src.endsWith('.zip');
+    const srcDir = isZip ? fs.mkdtempSync(path.join(os.tmpdir(), 'wm-rn-plan-')) : path.resolve(args.src) + '/';
+    try {
+        if (isZip) {
+            await unzip(args.src, srcDir);
+        }
+        const metaData = await readWmRNConfig(srcDir);
+        const appJson = readJSON(path.join(srcDir, 'app.json'));
+        const dest = path.resolve(args.dest || getNextDestination(metaData.id, metaData.version, args.platform)) + '/';
+        const signing = args.platform === 'android' ? getAndroidSigning(args) : getIosSigning(args);
+        // signing is used only by the native build.
+        if (!includesNativeBuild(args)) {
+            signing.problems = [];
+        }
+        const plan = {
+            src: isZip ? path.resolve(args.src) : srcDir,
+            zip: isZip ? path.resolve(args.src) : undefined,
+            dest: dest,
+            destExists: fs.existsSync(dest) && fs.readdirSync(dest).length > 0,
+            appId: metaData.id,
+            version: metaData.version,
+            platform: args.platform,
+            buildType: args.buildType,
+            packageType: args.platform === 'android' ? args.packageType : undefined,
+            signing: signing,
+            phases: []
+        };
+        if (!args.force && !args.fromPhase && !args.toPhase) {
+            const fingerprint = await computeFingerprint(srcDir, args);
+            const previousBuild = findMatchingBuild(metaData.id, fingerprint.fingerprint);
+            if (previousBuild) {
+                plan.skippedBy = previousBuild.dest;
+                plan.artifact = previousBuild.artifact;
+                return plan;
+            }
+        }
+        const fromIndex = args.fromPhase ? BUILD_PHASES.indexOf(args.fromPhase) : 0;
+        const toIndex = args.toPhase ? BUILD_PHASES.indexOf(args.toPhase) : BUILD_PHASES.length - 1;
+        const phaseSteps = {
+            setup: () => getSetupSteps(args, plan),
+            prepare: () => getPrepareSteps(args, plan, srcDir),
+            eject: () => getEjectSteps(args, plan, srcDir),
+            nativeBuild: () => getNativeBuildSteps(args, plan, metaData, appJson)
+        };
+        BUILD_PHASES.slice(fromIndex, toIndex + 1).forEach(name => {
+            plan.phases.push({
+                name: name,
+                steps: [
+                    ...getHookSteps(getHookName('pre', name), args, srcDir),
+                    ...(phaseSteps[name] ? phaseSteps[name]() : [step('note', null, 'phase added by a plugin.')]),
+                    ...getHookSteps(getHookName('post', name), args, srcDir)
+                ]
+            });
+        });
+        const lastPhase = plan.phases[plan.phases.length - 1];
+        if (lastPhase && BUILD_PHASES.indexOf(lastPhase.name) >= BUILD_PHASES.indexOf('nativeBuild')) {
+            lastPhase.steps.push(...getHookSteps('postBuild', args, srcDir));
+        }
+        return plan;
+    } finally {
+        if (isZip) {
+            fs.removeSync(srcDir);
+        }
+    }
+}
+
+const STEP_LABELS = {
+    command: chalk.cyan('run    '),
+    file: chalk.yellow('change '),
+    copy: chalk.green('copy   '),
+    check: chalk.gray('check  '),
+    prompt: chalk.magenta('prompt '),
+    note: chalk.gray('note   ')
+};
+
+function printPlan(plan) {
+    console.log(chalk.bold('\nBuild plan (dry run). Nothing is changed.\n'));
+    console.log(`Source      : ${plan.src}`);
+    console.log(`Destination : ${plan.dest}${plan.destExists ? ' (not empty)' : ''}`);
+    console.log(`Build       : ${plan.platform}, ${plan.buildType}${plan.packageType ? ', ' + plan.packageType : ''}`);
+    console.log(`Signing     : ${plan.signing.description}`);
+    plan.signing.problems.forEach(p => console.log(chalk.red(`              ✖ ${p}`)));
+    if (plan.skippedBy) {
+        console.log(chalk.green(`\nInputs are not changed since the build at ${plan.skippedBy}. The build would be skipped. Use --force to build again.`));
+        console.log(`Artifact    : ${plan.artifact}\n`);
+        return;
+    }
+    plan.phases.forEach(phase => {
+        console.log(chalk.bold(`\n${phase.name}`));
+        phase.steps.forEach(s => {
+            console.log(`  ${STEP_LABELS[s.type]}${s.target ? s.target + (s.description ? ': ' : '') : ''}${s.description || ''}`);
+        });
+    });
+    console.log('');
+}
+
+/**
+ * prints the build plan (as a 'plan' event in --output json mode). Rejects with a SigningError,
+ * when the signing options are not valid.
+ */
+async function dryRun(args) {
+    const plan = await createBuildPlan(args);
+    if (eventStream.isEnabled()) {
+        eventStream.emit('plan', plan.signing.problems.length ? 'error' : 'info', {plan: plan});
+    } else {
+        printPlan(plan);
+    }
+    if (plan.signing.problems.length) {
+        throw new SigningError('invalid signing configuration: ' + plan.signing.problems.join(', '), plan.signing.problems);
+    }
+    return plan;
+}
+
+module.exports = {
+    createBuildPlan: createBuildPlan,
+    dryRun: dryRun
+};
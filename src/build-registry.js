@@ -0,0 +1,232 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const open = require('open');
+const logger = require('./logger');
+const { getRootDir } = require('./build-context');
+const { SECRET_OPTIONS } = require('./secrets');
+
+const loggerLabel = 'build-registry';
+// options that are not recorded, as they are not build flags or are secrets.
+const IGNORED_OPTIONS = ['_', '$0', 'fingerprint',
+    ...Object.keys(SECRET_OPTIONS), ...Object.values(SECRET_OPTIONS)];
+
+function getBuildsDirectory() {
+    return `${getRootDir()}/build`;
+}
+
+function getRegistryFile() {
+    return `${getBuildsDirectory()}/builds.json`;
+}
+
+function readRegistry() {
+    const file = getRegistryFile();
+    if (fs.existsSync(file)) {
+        try {
+            return fs.readJSONSync(file);
+        } catch (e) {
+            logger.warn({
+                label: loggerLabel,
+                message: `could not read ${file}. Due to: ${e}`
+            });
+        }
+    }
+    return {
+        nextId: 1,
+        builds: []
+    };
+}
+
+function writeRegistry(registry) {
+    fs.mkdirsSync(getBuildsDirectory());
+    fs.writeFileSync(getRegistryFile(), JSON.stringify(registry, null, 4));
+}
+
+function getFlags(args) {
+    return Object.keys(args)
+        .filter(k => !IGNORED_OPTIONS.includes(k) && args[k] !== undefined)
+        .reduce((flags, k) => {
+            flags[k] = args[k];
+            return flags;
+        }, {});
+}
+
+function getResult(result) {
+    if (result.skipped) {
+        return 'skipped';
+    }
+    return result.success ? 'success' : 'failed';
+}
+
+/**
+ * adds the build to the registry and returns the build record.
+ */
+function recordBuild(args, metaData, result, startTime) {
+    try {
+        const registry = readRegistry();
+        const artifact = result.output && fs.existsSync(result.output) ? result.output : null;
+        const build = {
+            id: registry.nextId++,
+            appId: metaData && metaData.id,
+            version: metaData && metaData.version,
+            platform: args.platform,
+            buildType: args.buildType,
+            packageType: args.platform === 'android' ? args.packageType : undefined,
+            artifact: artifact,
+            size: artifact ? fs.statSync(artifact).size : 0,
+            // skipped build refers to the folder of an earlier build.
+            dest: result.skipped ? null : args.dest,
+            startedAt: startTime,
+            duration: Date.now() - startTime,
+            result: getResult(result),
+            errors: result.success ? undefined : String(result.errors || ''),
+            flags: getFlags(args)
+        };
+        registry.builds.push(build);
+        writeRegistry(registry);
+        return build;
+    } catch (e) {
+        logger.warn({
+            label: loggerLabel,
+            message: `could not record the build. Due to: ${e}`
+        });
+    }
+}
+
+// recorded builds of the app.
+function getBuilds(appId) {
+    return readRegistry().builds.filter(b => b.appId === appId);
+}
+
+function formatSize(size) {
+    return `${Math.round(size * 100 / (1024 * 1024)) / 100} MB`;
+}
+
+function formatDuration(duration) {
+    const seconds = Math.round(duration / 1000);
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function filterBuilds(builds, args) {
+    return builds.filter(b => (!args.appId || b.appId === args.appId)
+        && (!args.platform || b.platform === args.platform));
+}
+
+function listBuilds(args) {
+    const builds = filterBuilds(readRegistry().builds, args)
+        .sort((a, b) => b.startedAt - a.startedAt);
+    if (args.json) {
+        console.log(JSON.stringify(builds, null, 2));
+        return builds;
+    }
+    if (!builds.length) {
+        console.log('No builds found.');
+        return builds;
+    }
+    const rows = builds.map(b => [
+        String(b.id),
+        new Date(b.startedAt).toLocaleString(),
+        b.appId || '-',
+        b.version || '-',
+        b.platform || '-',
+        b.buildType || '-',
+        b.result,
+        formatSize(b.size || 0),
+        formatDuration(b.duration || 0)
+    ]);
+    const header = ['Id', 'Date', 'App Id', 'Version', 'Platform', 'Build Type', 'Result', 'Size', 'Duration'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const format = (r) => r.map((c, i) => c + ' '.repeat(widths[i] - c.length)).join('  ');
+    console.log(chalk.bold(format(header)));
+    rows.forEach(r => console.log(format(r)));
+    return builds;
+}
+
+function getBuild(id) {
+    const build = readRegistry().builds.find(b => String(b.id) === String(id));
+    if (!build) {
+        throw new Error(`build ${id} is not found. Use 'wm-reactnative builds list' to see the builds.`);
+    }
+    return build;
+}
+
+function showBuild(args) {
+    const build = getBuild(args.id);
+    if (args.json) {
+        console.log(JSON.stringify(build, null, 2));
+        return build;
+    }
+    const rows = [
+        ['Id', build.id],
+        ['App Id', build.appId],
+        ['Version', build.version],
+        ['Platform', build.platform],
+        ['Build Type', build.buildType],
+        ['Package Type', build.packageType],
+        ['Result', build.result],
+        ['Errors', build.errors],
+        ['Artifact', build.artifact],
+        ['Size', formatSize(build.size || 0)],
+        ['Folder', build.dest],
+        ['Started At', new Date(build.startedAt).toLocaleString()],
+        ['Duration', formatDuration(build.duration || 0)]
+    ].filter(r => r[1] !== undefined && r[1] !== null);
+    rows.forEach(r => console.log(`${chalk.bold(r[0].padEnd(14))}${r[1]}`));
+    console.log(chalk.bold('Flags'));
+    Object.keys(build.flags || {}).forEach(k => console.log(`    ${k.padEnd(20)}${JSON.stringify(build.flags[k])}`));
+    return build;
+}
+
+async function openBuild(args) {
+    const build = getBuild(args.id);
+    const target = build.artifact && fs.existsSync(build.artifact) ? path.dirname(build.artifact) : build.dest;
+    if (!target || !fs.existsSync(target)) {
+        throw new Error(`folder of build ${args.id} does not exist anymore.`);
+    }
+    await open(target);
+    return target;
+}
+
+// build folders are deleted only when they are inside the default builds folder and no other build uses them.
+function removeBuildFolder(build, remainingBuilds) {
+    if (!build.dest) {
+        return;
+    }
+    const buildsDir = path.resolve(getBuildsDirectory()) + path.sep;
+    const isShared = remainingBuilds.some(b => b.dest && path.resolve(b.dest) === path.resolve(build.dest));
+    if (!isShared && path.resolve(build.dest).startsWith(buildsDir) && fs.existsSync(build.dest)) {
+        fs.removeSync(build.dest);
+    }
+}
+
+/**
+ * keeps the latest args.keep builds of every app and platform. Older builds are removed along with their folders.
+ */
+function pruneBuilds(args) {
+    const registry = readRegistry();
+    const keep = Math.max(args.keep || 0, 0);
+    const groups = {};
+    filterBuilds(registry.builds, args)
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .forEach(b => {
+            const key = `${b.appId}/${b.platform}`;
+            groups[key] = groups[key] || [];
+            groups[key].push(b);
+        });
+    const removed = [];
+    Object.values(groups).forEach(builds => removed.push(...builds.slice(keep)));
+    registry.builds = registry.builds.filter(b => !removed.includes(b));
+    removed.forEach(b => removeBuildFolder(b, registry.builds));
+    writeRegistry(registry);
+    console.log(`Removed ${removed.length} builds.`);
+    return removed;
+}
+
+module.exports = {
+    recordBuild: recordBuild,
+    getBuilds: getBuilds,
+    listBuilds: listBuilds,
+    showBuild: showBuild,
+    openBuild: openBuild,
+    pruneBuilds: pruneBuilds
+};
@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { redact } = require('./redact');
+const { readPhaseState } = require('./pipeline');
+const { runRequirementChecks } = require('./requirements');
+const { getKeyStoreFingerprints, getP12Fingerprints, getAndroidSigningConfig } = require('./signing');
+const { readProperties } = require('./properties-editor');
+const pkg = require('../package.json');
+
+const loggerLabel = 'build-report';
+const REPORT_FILE = 'output/build-report.json';
+const REPORT_FORMAT_VERSION = 1;
+
+function hashFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', d => hash.update(d))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * collects the warnings and errors logged till stop is called.
+ */
+function collectWarnings() {
+    const messages = [];
+    const listener = (info) => {
+        if (info.level === 'warn' || info.level === 'error') {
+            messages.push({
+                level: info.level,
+                label: info.label,
+                message: redact(String(info.message))
+            });
+        }
+    };
+    logger.on('data', listener);
+    return {
+        messages: messages,
+        stop: () => logger.removeListener('data', listener)
+    };
+}
+
+async function getArtifacts(result) {
+    const files = [].concat(result.output || []).filter(f => fs.existsSync(f));
+    const artifacts = [];
+    for (const f of files) {
+        artifacts.push({
+            path: f,
+            fileName: path.basename(f),
+            size: fs.statSync(f).size,
+            sha256: await hashFile(f)
+        });
+    }
+    return artifacts;
+}
+
+// ABIs the native libraries are built for.
+function getAbis(args) {
+    if (args.platform !== 'android') {
+        return undefined;
+    }
+    if (args.architecture && args.architecture.length) {
+        return args.architecture;
+    }
+    const architectures = readProperties(`${args.dest}android/gradle.properties`).reactNativeArchitectures;
+    return architectures ? architectures.split(',').map(a => a.trim()).filter(a => a) : [];
+}
+
+async function getSigning(args) {
+    if (args.platform === 'android') {
+        const signingConfig = getAndroidSigningConfig(args);
+        return {
+            keyStore: signingConfig.keyStore,
+            keyAlias: signingConfig.keyAlias,
+            certificateFingerprints: await getKeyStoreFingerprints(
+                signingConfig.keyStore, signingConfig.keyAlias, signingConfig.storePassword)
+        };
+    }
+    if (args.platform === 'ios') {
+        return {
+            certificate: args.iCertificate,
+            provisioningFile: args.iProvisioningFile,
+            certificateFingerprints: await getP12Fingerprints(args.iCertificate, args.iCertificatePassword)
+        };
+    }
+}
+
+async function getToolVersions(args) {
+    const tools = args.fingerprint && args.fingerprint.tools
+        ? args.fingerprint.tools
+        : (await runRequirementChecks(args.platform)).map(r => ({name: r.name, version: r.version}));
+    return tools.reduce((versions, t) => {
+        versions[t.name] = t.version || null;
+        return versions;
+    }, {});
+}
+
+/**
+ * writes output/build-report.json in the dest folder and returns the report.
+ */
+async function writeBuildReport(args, metaData, result, options) {
+    if (!args.dest || !fs.existsSync(args.dest)) {
+        return;
+    }
+    try {
+        const phases = readPhaseState(args.dest).phases;
+        const report = {
+            formatVersion: REPORT_FORMAT_VERSION,
+            success: !!result.success,
+            errors: result.success ? undefined : redact(String(result.errors || '')),
+            appId: metaData && metaData.id,
+            name: metaData && metaData.name,
+            version: metaData && metaData.version,
+            platform: args.platform,
+            buildType: args.buildType,
+            packageType: args.platform === 'android' ? args.packageType : undefined,
+            abis: getAbis(args),
+            artifacts: await getArtifacts(result),
+            signing: result.success ? await getSigning(args) : undefined,
+            startedAt: options.startTime,
+            duration: Date.now() - options.startTime,
+            phases: Object.keys(phases).reduce((p, name) => {
+                p[name] = {
+                    status: phases[name].status,
+                    duration: phases[name].duration
+                };
+                return p;
+            }, {}),
+            cliVersion: pkg.version,
+            tools: await getToolVersions(args),
+            warnings: options.warnings || [],
+            // patches applied to the native and js files, and the optional ones skipped as their patterns are not found.
+            patches: options.patches || [],
+            // checks of the signature, manifest and native libraries of the android artifact.
+            verification: result.verification
+        };
+        const reportFile = path.join(args.dest, REPORT_FILE);
+        fs.mkdirsSync(path.dirname(reportFile));
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 4));
+        logger.info({
+            label: loggerLabel,
+            message: `build report is written to ${reportFile}`
+        });
+        return report;
+    } catch (e) {
+        logger.warn({
+            label: loggerLabel,
+            message: `could not write the build report. Due to: ${e}`
+        });
+    }
+}
+
+function readBuildReport(dest) {
+    const reportFile = dest && path.join(dest, REPORT_FILE);
+    if (reportFile && fs.existsSync(reportFile)) {
+        return fs.readJSONSync(reportFile);
+    }
+}
+
+module.exports = {
+    REPORT_FORMAT_VERSION: REPORT_FORMAT_VERSION,
+    hashFile: hashFile,
+    collectWarnings: collectWarnings,
+    writeBuildReport: writeBuildReport,
+    readBuildReport: readBuildReport
+};
@@ -0,0 +1,360 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('./logger');
+const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const api = require('./api');
+const { getRootDir } = require('./build-context');
+const { getExitCode } = require('./errors');
+const { registerSecret } = require('./redact');
+
+const loggerLabel = 'build-server';
+const JOB_FILE = 'job.json';
+const EVENTS_FILE = 'events.ndjson';
+const PROJECT_FILE = 'project.zip';
+// build options that can be given in the query of POST /jobs. Other options come from the profile.
+const JOB_OPTIONS = ['platform', 'profile', 'buildType', 'packageType', 'force'];
+const PLATFORMS = ['android', 'ios'];
+const TOKEN_ENV = 'WM_RN_SERVER_TOKEN';
+const DEFAULT_MAX_UPLOAD_SIZE = 500;
+
+/**
+ * Builds the projects posted to it, one job per project. Jobs are kept in <rootDir>/server/jobs/<id>,
+ * so that the queued jobs and the jobs interrupted by a restart are run when the server starts again.
+ *
+ * A job is {id, status (queued, running, succeeded, failed), options, createdAt, startedAt, finishedAt,
+ * report, exitCode, error}.
+ *
+ * Every request should have the token of the server (Authorization: Bearer <token>), as a job runs the code of
+ * the project (npm scripts, gradle...). Hooks in the wm-hooks folder of the posted projects are not run.
+ */
+class BuildServer {
+    constructor(options) {
+        this.jobsDir = `${getRootDir()}/server/jobs`;
+        this.concurrency = Math.max(1, options.concurrency || 1);
+        this.config = options.config && path.resolve(options.config);
+        this.token = options.token;
+        // in MB
+        this.maxUploadSize = (options.maxUploadSize || DEFAULT_MAX_UPLOAD_SIZE) * 1024 * 1024;
+        this.jobs = new Map();
+        this.running = 0;
+        // SSE responses of the running jobs
+        this.streams = new Map();
+    }
+
+    getJobDir(id) {
+        return path.join(this.jobsDir, id);
+    }
+
+    saveJob(job) {
+        fs.mkdirsSync(this.getJobDir(job.id));
+        fs.writeFileSync(path.join(this.getJobDir(job.id), JOB_FILE), JSON.stringify(job, null, 4));
+    }
+
+    updateJob(job, values) {
+        Object.assign(job, values);
+        this.saveJob(job);
+    }
+
+    // jobs that were running when the server stopped are queued again.
+    loadJobs() {
+        fs.mkdirsSync(this.jobsDir);
+        fs.readdirSync(this.jobsDir)
+            .filter(id => {
+                // folders without job.json are left over by the uploads, that did not complete.
+                if (!fs.existsSync(path.join(this.getJobDir(id), JOB_FILE))) {
+                    fs.removeSync(this.getJobDir(id));
+                    return false;
+                }
+                return true;
+            })
+            .map(id => path.join(this.getJobDir(id), JOB_FILE))
+            .map(f => fs.readJSONSync(f))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach(job => {
+                if (job.status === 'running') {
+                    fs.removeSync(path.join(this.getJobDir(job.id), EVENTS_FILE));
+                    this.updateJob(job, {
+                        status: 'queued',
+                        startedAt: null
+                    });
+                }
+                this.jobs.set(job.id, job);
+            });
+    }
+
+    createJob(options) {
+        const job = {
+            id: `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+            status: 'queued',
+            options: options,
+            createdAt: Date.now()
+        };
+        // the job is added to the jobs (and can be run), once its project zip is uploaded.
+        return job;
+    }
+
+    schedule() {
+        const queued = [...this.jobs.values()].filter(j => j.status === 'queued');
+        while (this.running < this.concurrency && queued.length) {
+            const job = queued.shift();
+            // a job that could not be run should not stop the server and the other jobs.
+            this.runJob(job).catch(e => logger.error({
+                label: loggerLabel,
+                message: `job ${job.id} could not be run. Due to: ${e && e.message || e}`
+            }));
+        }
+    }
+
+    appendEvent(job, event) {
+        try {
+            fs.appendFileSync(path.join(this.getJobDir(job.id), EVENTS_FILE), JSON.stringify(event) + '\n');
+        } catch (e) {
+            logger.warn({
+                label: loggerLabel,
+                message: `could not write the event of job ${job.id}. Due to: ${e.message}`
+            });
+        }
+        (this.streams.get(job.id) || []).forEach(res => writeServerEvent(res, event.type, event));
+    }
+
+    async runJob(job) {
+        this.running++;
+        try {
+            this.updateJob(job, {
+                status: 'running',
+                startedAt: Date.now()
+            });
+            logger.info({
+                label: loggerLabel,
+                message: `started job ${job.id}`
+            });
+            try {
+                const build = api.build({
+                    ...job.options,
+                    src: path.join(this.getJobDir(job.id), PROJECT_FILE),
+                    config: this.config,
+                    projectHooks: false
+                });
+                build.events.on('event', e => this.appendEvent(job, e));
+                const report = await build;
+                this.updateJob(job, {
+                    status: 'succeeded',
+                    finishedAt: Date.now(),
+                    report: report
+                });
+            } catch (e) {
+                this.updateJob(job, {
+                    status: 'failed',
+                    finishedAt: Date.now(),
+                    exitCode: getExitCode(e),
+                    error: e.message
+                });
+            }
+            logger.info({
+                label: loggerLabel,
+                message: `job ${job.id} ${job.status}`
+            });
+            taskLogger.info(`job ${job.id} ${job.status}`);
+        } catch (e) {
+            // job.json could not be written. The job is failed in memory, so that it is not run again.
+            Object.assign(job, {
+                status: 'failed',
+                finishedAt: Date.now(),
+                error: e.message
+            });
+            throw e;
+        } finally {
+            (this.streams.get(job.id) || []).forEach(res => {
+                writeServerEvent(res, 'end', job);
+                res.end();
+            });
+            this.streams.delete(job.id);
+            this.running--;
+            this.schedule();
+        }
+    }
+
+    getArtifact(job) {
+        const artifact = job.report && job.report.artifacts && job.report.artifacts[0];
+        return artifact && fs.existsSync(artifact.path) ? artifact.path : null;
+    }
+
+    isAuthorized(req) {
+        const match = (req.headers['authorization'] || '').match(/^Bearer\s+(.+)$/);
+        const given = Buffer.from(match ? match[1].trim() : '');
+        const token = Buffer.from(this.token);
+        return given.length === token.length && crypto.timingSafeEqual(given, token);
+    }
+
+    createApp() {
+        const app = express();
+        app.use((req, res, next) => {
+            if (!this.isAuthorized(req)) {
+                return res.status(401).json({
+                    error: 'token of the server is required (Authorization: Bearer <token>).'
+                });
+            }
+            next();
+        });
+        app.post('/jobs', (req, res) => {
+            const options = JOB_OPTIONS
+                .filter(k => req.query[k] !== undefined)
+                .reduce((o, k) => {
+                    o[k] = k === 'force' ? req.query[k] === 'true' : req.query[k];
+                    return o;
+                }, {});
+            if (!PLATFORMS.includes(options.platform)) {
+                return res.status(400).json({
+                    error: `platform should be one of ${PLATFORMS.join(', ')}.`
+                });
+            }
+            const tooLarge = () => res.status(413).json({
+                error: `project zip should not be larger than ${this.maxUploadSize / (1024 * 1024)}MB.`
+            });
+            if (parseInt(req.headers['content-length'] || 0) > this.maxUploadSize) {
+                return tooLarge();
+            }
+            const job = this.createJob(options);
+            fs.mkdirsSync(this.getJobDir(job.id));
+            const zipFile = path.join(this.getJobDir(job.id), PROJECT_FILE);
+            const file = fs.createWriteStream(zipFile);
+            let size = 0;
+            let done = false;
+            // removes the folder of the job, whose upload did not complete.
+            const discard = (respond) => {
+                if (done) {
+                    return;
+                }
+                done = true;
+                req.unpipe(file);
+                file.destroy();
+                fs.removeSync(this.getJobDir(job.id));
+                respond && !res.headersSent && respond();
+            };
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxUploadSize) {
+                    discard(tooLarge);
+                    req.resume();
+                }
+            });
+            req.on('aborted', () => discard());
+            req.on('error', () => discard());
+            req.pipe(file)
+                .on('finish', () => {
+                    if (done) {
+                        return;
+                    }
+                    if (!size) {
+                        return discard(() => res.status(400).json({
+                            error: 'project zip is required as the request body.'
+                        }));
+                    }
+                    done = true;
+                    this.saveJob(job);
+                    this.jobs.set(job.id, job);
+                    res.status(202).json(job);
+                    this.schedule();
+                })
+                .on('error', e => discard(() => res.status(500).json({
+                    error: e.message
+                })));
+        });
+        app.get('/jobs', (req, res) => {
+            res.json([...this.jobs.values()]);
+        });
+        app.get('/jobs/:id', (req, res) => {
+            const job = this.jobs.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    error: `job ${req.params.id} is not found.`
+                });
+            }
+            res.json(job);
+        });
+        // events written so far are sent first. Then, the events of a running job are sent as they happen.
+        app.get('/jobs/:id/logs', (req, res) => {
+            const job = this.jobs.get(req.params.id);
+            if (!job) {
+                return res.status(404).json({
+                    error: `job ${req.params.id} is not found.`
+                });
+            }
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            const eventsFile = path.join(this.getJobDir(job.id), EVENTS_FILE);
+            if (fs.existsSync(eventsFile)) {
+                fs.readFileSync(eventsFile, 'utf8').split('\n')
+                    .filter(line => line)
+                    .forEach(line => writeServerEvent(res, JSON.parse(line).type, line));
+            }
+            if (job.status === 'queued' || job.status === 'running') {
+                const streams = this.streams.get(job.id) || [];
+                streams.push(res);
+                this.streams.set(job.id, streams);
+                req.on('close', () => {
+                    const remaining = (this.streams.get(job.id) || []).filter(r => r !== res);
+                    remaining.length ? this.streams.set(job.id, remaining) : this.streams.delete(job.id);
+                });
+            } else {
+                writeServerEvent(res, 'end', job);
+                res.end();
+            }
+        });
+        app.get('/jobs/:id/artifact', (req, res) => {
+            const job = this.jobs.get(req.params.id);
+            const artifact = job && this.getArtifact(job);
+            if (!artifact) {
+                return res.status(404).json({
+                    error: `artifact of job ${req.params.id} is not found.`
+                });
+            }
+            res.download(artifact);
+        });
+        return app;
+    }
+}
+
+function writeServerEvent(res, type, data) {
+    res.write(`event: ${type}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * starts the build server. Resolves to the http server, once it is listening.
+ */
+async function serve(args) {
+    const token = args.token || process.env[TOKEN_ENV] || crypto.randomBytes(24).toString('hex');
+    registerSecret(token);
+    const server = new BuildServer({
+        ...args,
+        token: token
+    });
+    server.loadJobs();
+    const app = server.createApp();
+    return new Promise((resolve, reject) => {
+        const httpServer = app.listen(args.port, args.host, () => {
+            const url = `http://${args.host}:${httpServer.address().port}/`;
+            logger.info({
+                label: loggerLabel,
+                message: `build server is listening at ${url}`
+            });
+            taskLogger.info(`build server is listening at ${url}. Jobs are kept at ${server.jobsDir}`);
+            if (!args.token && !process.env[TOKEN_ENV]) {
+                // not logged, so that it is not in the log files.
+                console.error(`Token of the server: ${token}`);
+            }
+            server.schedule();
+            resolve(httpServer);
+        }).on('error', reject);
+    });
+}
+
+module.exports = {
+    BuildServer: BuildServer,
+    serve: serve
+};
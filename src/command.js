@@ -4,8 +4,8 @@ const plist = require('plist');
 const path = require('path');
 const android = require('./android');
 const { unzip } = require('./zip');
-let { showConfirmation,VERSIONS, 
-    canDoAndroidBuild, canDoIosBuild, canDoEmbed 
+let { showConfirmation, 
+    canDoAndroidBuild, canDoIosBuild, canDoEmbed
 } = require('./requirements');
 
 const {
@@ -16,10 +16,28 @@ const crypto = require('crypto');
 const config = require('./config');
 const ios = require('./ios');
 const { resolve } = require('path');
-const { isWindowsOS, readAndReplaceFileContent, getDestPathForWindows } = require('./utils');
+const { isWindowsOS, readAndReplaceFileContent, writeFileContent, getDestPathForWindows } = require('./utils');
+const { applyDependencyPins } = require('./sdk-profiles');
+const { resolveSecretOptions } = require('./secrets');
+const { Pipeline } = require('./pipeline');
+const { installDependencies } = require('./dependency-cache');
+const { computeFingerprint, findMatchingBuild, writeFingerprint } = require('./fingerprint');
+const { recordBuild } = require('./build-registry');
+const { collectWarnings, writeBuildReport, readBuildReport } = require('./build-report');
+const { setLogDirectory, getRootDir } = require('./build-context');
+const { runHooks, getHookName } = require('./hooks');
+const { startJournal } = require('./journal');
+const { applyPatch } = require('./patches');
+const { setProperties, parsePropertyOptions } = require('./properties-editor');
+const { isPrepared, markPrepared, getPrepareInputs, isEjected, markEjected, getEjectInputs, readProjectState, clearProjectState } = require('./project-state');
+const {
+    CliError, PrerequisitesError, DependencyInstallError, EjectError, NativeBuildError, SigningError, getErrorMessage
+} = require('./errors');
 const chalk = require('chalk');
 const taskLogger = require('./custom-logger/task-logger').spinnerBar;
 const loggerLabel = 'wm-reactnative-cli';
+// folders of an earlier build that are reused by an incremental build (--incremental).
+const INCREMENTAL_BUILD_FOLDERS = ['node_modules', 'android', 'ios', 'output'];
 const {androidBuildSteps} = require('./custom-logger/steps');
 
 function getFileSize(path) {
@@ -29,46 +47,15 @@ function getFileSize(path) {
 
 async function updatePackageJsonFile(path) {
     try {
-        let data = fs.readFileSync(path, 'utf-8');
-        //downgrading expo-av to 11 to address the build failure issue
-        data = data.replace(/"expo-av"[\s]*:[\s]*"~13.0.1"/, '"expo-av": "~11.0.1"');
-        const jsonData = JSON.parse(data);
+        const jsonData = JSON.parse(fs.readFileSync(path, 'utf-8'));
         jsonData['main'] = "index";
         if (config.embed) {
             jsonData['dependencies']['@wavemaker/expo-native-module'] = "latest";
         }
-        if(!jsonData['devDependencies']['@babel/plugin-proposal-optional-chaining']){
-            jsonData['devDependencies']['@babel/plugin-proposal-optional-chaining'] = "^7.21.0";
-        }
-        if(!jsonData['devDependencies']['@babel/plugin-proposal-nullish-coalescing-operator']){
-            jsonData['devDependencies']['@babel/plugin-proposal-nullish-coalescing-operator'] = "^7.18.6";
-        }
-        if (!jsonData['dependencies']['lottie-react-native']
-            || jsonData['dependencies']['lottie-react-native'] === '5.1.5') {
-            jsonData['dependencies']['lottie-react-native'] = "^5.1.5";
-            jsonData['dependencies']['react-lottie-player'] = "^1.5.4";
-        }
-        if (jsonData['dependencies']['expo-file-system'] === '^15.1.1') {
-            jsonData['dependencies']['expo-file-system'] = '15.2.2'
-        }
-        if (jsonData['dependencies']['axios'] === '^1.4.0') {
-            jsonData['dependencies']['axios'] = '1.6.8';
-        }
-        const resolutions = jsonData["resolutions"] || {};
-        if (!resolutions['expo-application']) {
-            resolutions['expo-application'] = '5.8.4';
-        }
-        if (!resolutions['axios']) {
-            resolutions['axios'] = '1.6.8';
-        }
-        if (jsonData['dependencies']['expo'] === '50.0.17') {
-            resolutions['metro'] = '0.80.9';
-        }
-        jsonData["resolutions"] = resolutions;
-        if (config.platform === 'android') {
-            jsonData['dependencies']['@react-native-cookies/cookies'] = '6.2.1';
-        }
-        fs.writeFileSync(path, JSON.stringify(jsonData), 'utf-8');
+        applyDependencyPins(jsonData, 'build', {
+            platform: config.platform
+        });
+        writeFileContent(path, JSON.stringify(jsonData), 'main and the dependency versions');
         logger.info({
             'label': loggerLabel,
             'message': 'updated package.json file'
@@ -78,18 +65,39 @@ async function updatePackageJsonFile(path) {
     }
 }
 
- async function build(args) {
-    const directories = await setupBuildDirectory(args.src, args.dest, args.platform);
+async function setupPhase(args) {
+    const directories = await setupBuildDirectory(args.src, args.dest, args.platform, args.incremental);
     if (!directories) {
         return {
             success : false,
-            errors: 'could not setup the build directories.'
+            errors: 'could not setup the build directories.',
+            error: new CliError('could not setup the build directories.')
         };
     }
     args.src = directories.src;
     args.dest = directories.dest;
- 
-    config.metaData = await readWmRNConfig(args.src);
+    startJournal(args.dest);
+    await loadMetaData(args, args.src);
+    taskLogger.succeed(androidBuildSteps[0].succeed);
+}
+
+// loads the build context from the dest folder of an earlier build.
+async function restoreSetupPhase(args) {
+    args.dest = path.resolve(args.dest) + '/';
+    args.src = args.dest;
+    startJournal(args.dest);
+    const logDirectory = args.dest + 'output/logs/';
+    fs.mkdirSync(logDirectory, {
+        recursive: true
+    });
+    setLogDirectory(logDirectory);
+    logger.setLogDirectory(logDirectory);
+    taskLogger.info("Full log details can be found in: " + logDirectory);
+    await loadMetaData(args, args.dest);
+}
+
+async function loadMetaData(args, src) {
+    config.metaData = await readWmRNConfig(src);
 
     if (config.metaData.icon.src.startsWith('resources')) {
         config.metaData.icon.src = 'assets/' + config.metaData.icon.src;
@@ -98,62 +106,68 @@ async function updatePackageJsonFile(path) {
         config.metaData.splash.src = 'assets/' + config.metaData.splash.src;
     }
 
-     config.platform = args.platform;
-     
-     if (args.dest) {
-        args.dest = path.resolve(args.dest) + '/';
-     }
-    taskLogger.succeed(androidBuildSteps[0].succeed);
+    config.platform = args.platform;
 
-    await prepareProject(args);
-    if (args.targetPhase === 'PREPARE')
-    {
-        return;
+    if (args.dest) {
+        args.dest = path.resolve(args.dest) + '/';
     }
+}
+
+function restorePreparePhase(args) {
+    config.src = args.dest;
+    config.platform = args.platform;
+    config.buildType = args.buildType;
+}
+
+async function ejectPhase(args) {
     if (!args.autoEject) {
         const response = await showConfirmation(
             'Would you like to eject the expo project (yes/no) ?'
         );
         if (response !== 'y' && response !== 'yes') {
-            process.exit();
+            return {
+                success: false,
+                errors: 'eject is cancelled.',
+                error: new EjectError('eject is cancelled.')
+            };
         }
     }
-    let response;
-    if (args.dest) {
-        if (!config.metaData.ejected) {
-            response = await ejectProject(args);
-        }
-    } else {
-        response = await ejectProject(args);
-    }
-
-    if (response && response.errors) {
-        return response;
-    }
-
-    if (args.ejectProject || config.embed)  {
+    // an incremental build ejects again, only when app.json, package.json or the assets have changed.
+    config.metaData.ejected = !!args.incremental && isEjected(args.dest, args.platform);
+    if (config.metaData.ejected) {
+        logger.info({
+            label: loggerLabel,
+            message: `${args.platform} project of the earlier build is up to date. Skipped the eject.`
+        });
+        taskLogger.info(`${args.platform} project of the earlier build is up to date. Skipped the eject.`);
         return;
     }
+    return await ejectProject(args);
+}
 
-    if (args.dest) {
-        config.src = args.dest;
-    }
+async function nativeBuildPhase(args) {
+    config.src = args.dest;
     // TODO: iOS app showing blank screen
     if (!(config.metaData.sslPinning && config.metaData.sslPinning.enabled)) {
-        await readAndReplaceFileContent(`${config.src}/App.js`, content => {
-            return content.replace('if (isSslPinningAvailable()) {', 
-                'if (false && isSslPinningAvailable()) {');
+        await applyPatch(`${config.src}App.js`, {
+            name: 'disable-ssl-pinning',
+            description: 'SSL pinning is not enabled',
+            find: 'if (isSslPinningAvailable()) {',
+            replace: 'if (false && isSslPinningAvailable()) {',
+            applied: 'if (false && isSslPinningAvailable()) {',
+            required: false
         });
     }
 
     if(args.architecture && args.platform==='android') {
-        await readAndReplaceFileContent(`${config.src}/android/gradle.properties`, content => {
-            return content.replace(/^reactNativeArchitectures=.*$/m,`reactNativeArchitectures=${args.architecture.join(',')}`);
-        })
+        setProperties(`${config.src}android/gradle.properties`, {
+            reactNativeArchitectures: args.architecture.join(',')
+        }, '--architecture option');
     }
 
-    config.outputDirectory = config.src + 'output/';
-    config.logDirectory = config.outputDirectory + 'logs/';
+    // artifacts of a variant (see variants.js) are kept apart from the ones of the other variants.
+    config.outputDirectory = config.src + 'output/' + (args.variant ? `variants/${args.variant}/` : '');
+    config.logDirectory = config.src + 'output/logs/';
     logger.info({
         label: loggerLabel,
         message: `Building at : ${config.src}`
@@ -174,21 +188,29 @@ async function updatePackageJsonFile(path) {
                 });
             }catch(e){
                 taskLogger.fail("Pod install failed");
+                return {
+                    success: false,
+                    errors: e,
+                    error: new DependencyInstallError('Pod install failed. Due to : ' + e)
+                };
             }
             result = await ios.invokeiosBuild(args);
         }
         if (result.errors && result.errors.length) {
+            const message = args.platform + ' build failed due to: \n\t' + getErrorMessage(result.errors);
             logger.error({
                 label: loggerLabel,
-                message: args.platform + ' build failed due to: \n\t' + result.errors.join('\n\t')
+                message: message
             });
-            taskLogger.fail(args.platform + ' build failed due to: \n\t' + result.errors.join('\n\t'));
+            taskLogger.fail(message);
+            result.error = result.error || new NativeBuildError(message, result.errors);
         } else if (!result.success) {
             logger.error({
                 label: loggerLabel,
                 message: args.platform + ' BUILD FAILED'
             });
             taskLogger.fail(args.platform + ' BUILD FAILED');
+            result.error = result.error || new NativeBuildError(args.platform + ' BUILD FAILED');
         } else {
             logger.info({
                 label: loggerLabel,
@@ -210,18 +232,148 @@ async function updatePackageJsonFile(path) {
         taskLogger.fail('BUILD Failed. Due to :' + e);
         return {
             success : false,
-            errors: e
+            errors: e,
+            error: e instanceof CliError ? e : new NativeBuildError('BUILD Failed. Due to :' + e, e)
          };
     }
 }
 
+// returns the result of an earlier build with the same inputs. args.src is replaced with the extracted project folder.
+async function findPreviousBuild(args) {
+    args.src = await extractRNZip(args.src);
+    const metaData = await readWmRNConfig(args.src);
+    config.metaData = metaData;
+    args.fingerprint = await computeFingerprint(args.src, args);
+    if (args.force) {
+        return;
+    }
+    const previousBuild = findMatchingBuild(metaData.id, args.fingerprint.fingerprint);
+    if (!previousBuild) {
+        return;
+    }
+    logger.info({
+        label: loggerLabel,
+        message: `inputs are not changed since the build at ${previousBuild.dest}. Skipped the build. check the file at : ${previousBuild.artifact}.`
+    });
+    taskLogger.succeed(`Inputs are not changed since the last build. Use --force to build again. check the file at : ${previousBuild.artifact}.`);
+    return {
+        success: true,
+        skipped: true,
+        output: previousBuild.artifact,
+        dest: previousBuild.dest
+    };
+}
+
+const buildPipeline = new Pipeline([{
+    name: 'setup',
+    run: setupPhase,
+    restore: restoreSetupPhase
+}, {
+    name: 'prepare',
+    run: prepareProject,
+    restore: restorePreparePhase
+}, {
+    name: 'eject',
+    run: ejectPhase
+}, {
+    name: 'nativeBuild',
+    run: nativeBuildPhase
+}]);
+
+const BUILD_PHASES = buildPipeline.getPhaseNames();
+
+// adds a phase to the build (see plugins.js). BUILD_PHASES is updated in place, as it is already in use.
+function addBuildPhase(phase, position) {
+    buildPipeline.addPhase(phase, position);
+    BUILD_PHASES.splice(0, BUILD_PHASES.length, ...buildPipeline.getPhaseNames());
+}
+
+// tells whether the build runs till the native build. Plugins can add phases after it.
+function includesNativeBuild(args) {
+    return !args.toPhase || BUILD_PHASES.indexOf(args.toPhase) >= BUILD_PHASES.indexOf('nativeBuild');
+}
+
+/**
+ * builds the project and resolves to the build result, with the build report as report. On failure, rejects with a CliError
+ * (see errors.js), whose exitCode tells the reason of the failure.
+ */
+ async function build(args) {
+    const startTime = Date.now();
+    const warnings = collectWarnings();
+    const result = await runBuild(args);
+    warnings.stop();
+    // builds that stop before the native build do not have anything to report.
+    if (includesNativeBuild(args)) {
+        if (!result.skipped) {
+            result.report = await writeBuildReport(args, config.metaData, result, {
+                startTime: startTime,
+                warnings: warnings.messages,
+                patches: config.patches
+            });
+        } else {
+            result.report = readBuildReport(result.dest);
+        }
+        recordBuild(args, config.metaData, result, startTime);
+    }
+    if (!result.success) {
+        throw result.error;
+    }
+    return result;
+}
+
+async function runBuild(args) {
+    try {
+        try {
+            await resolveSecretOptions(args);
+        } catch (e) {
+            throw new SigningError(e.message, e);
+        }
+        // invalid values fail the build now, instead of after the install and the eject.
+        parsePropertyOptions(args.gradleProp);
+        const fullBuild = !args.fromPhase && !args.toPhase;
+        if (fullBuild) {
+            const previousBuild = await findPreviousBuild(args);
+            if (previousBuild) {
+                return previousBuild;
+            }
+        }
+        const result = await buildPipeline.run(args, {
+            fromPhase: args.fromPhase,
+            toPhase: args.toPhase,
+            hooks: (when, phaseName, context, phaseResult) => runHooks(getHookName(when, phaseName), context, phaseResult)
+        });
+        if (result.success && includesNativeBuild(args)) {
+            await runHooks('postBuild', args, result);
+        }
+        if (fullBuild && args.fingerprint && result.success && result.output) {
+            writeFingerprint(args.dest, args.fingerprint, result.output);
+        }
+        if (!result.success && !result.error) {
+            result.error = new CliError(getErrorMessage(result.errors || 'build failed.'), result.errors);
+        }
+        return result;
+    } catch (e) {
+        logger.error({
+            label: loggerLabel,
+            message: e.message
+        });
+        taskLogger.fail(e.message);
+        return {
+            success : false,
+            errors: e.message,
+            error: e instanceof CliError ? e : new CliError(e.message, e)
+        };
+    }
+}
+
 async function extractRNZip(src)  {
     let folderName = isWindowsOS() ? src.split('\\').pop() : src.split('/').pop();
     const isZipFile = folderName.endsWith('.zip');
 
     folderName = isZipFile ? folderName.replace('.zip', '') : folderName;
 
-    const tmp = `${require('os').homedir()}/.wm-reactnative-cli/temp/${folderName}/${Date.now()}`;
+    // random suffix keeps the builds started together in a process (see api.js) apart.
+    const tmp = `${getRootDir()}/temp/${folderName}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
 
     if (src.endsWith('.zip')) {
         const zipFile = src;
@@ -235,7 +387,19 @@ async function extractRNZip(src)  {
     return path.resolve(src) + '/';
 }
 
-async function setupBuildDirectory(src, dest, platform) {
+// removes the project files of an earlier build in dest, keeping what an incremental build reuses.
+function clearForIncrementalBuild(dest) {
+    fs.readdirSync(dest)
+        .filter(f => !INCREMENTAL_BUILD_FOLDERS.includes(f))
+        .forEach(f => fs.removeSync(path.join(dest, f)));
+    logger.info({
+        label: loggerLabel,
+        message: `reusing ${INCREMENTAL_BUILD_FOLDERS.join(', ')} of the earlier build in ${dest}`
+    });
+    taskLogger.info(`Reusing the earlier build in ${dest}`);
+}
+
+async function setupBuildDirectory(src, dest, platform, incremental) {
     try{
         taskLogger.setTotal(androidBuildSteps[0].total);
         taskLogger.start(androidBuildSteps[0].start);
@@ -244,7 +408,9 @@ async function setupBuildDirectory(src, dest, platform) {
         const metadata = await readWmRNConfig(src);
         taskLogger.incrementProgress(1);
         if (fs.existsSync(dest)) {
-            if (fs.readdirSync(dest).length) {
+            if (incremental && fs.lstatSync(dest).isDirectory()) {
+                clearForIncrementalBuild(dest);
+            } else if (fs.readdirSync(dest).length) {
                 const response = await showConfirmation('Would you like to empty the dest folder (i.e. ' + dest + ') (yes/no) ?');
                 if (response !== 'y' && response !== 'yes') {
                     // logger.error({
@@ -264,7 +430,7 @@ async function setupBuildDirectory(src, dest, platform) {
             }
         }
         taskLogger.incrementProgress(1);
-        dest = dest || await getDefaultDestination(metadata.id, platform);
+        dest = dest || await getDefaultDestination(metadata.id, metadata.version, platform);
         if(isWindowsOS()){
             dest = await getDestPathForWindows('build');
         }
@@ -285,7 +451,7 @@ async function setupBuildDirectory(src, dest, platform) {
         fs.mkdirSync(logDirectory, {
             recursive: true
         });
-        global.logDirectory = logDirectory;
+        setLogDirectory(logDirectory);
         logger.setLogDirectory(logDirectory);
         taskLogger.info("Full log details can be found in: " + logDirectory);
         return {
@@ -293,17 +459,18 @@ async function setupBuildDirectory(src, dest, platform) {
             dest: dest
         };
     }catch(e){
-        console.log(e.message);
+        logger.error({
+            label: loggerLabel,
+            message: 'Setup directories failed. Due to: ' + e.message
+        });
         taskLogger.fail("Setup directories failed. " + chalk.gray("Due to : ")  + chalk.cyan(e.message));
     }
 }
 
-async function getDefaultDestination(id, platform) {
-    const version = '1.0.0';
-    const path = `${require('os').homedir()}/.wm-reactnative-cli/build/${id}/${version}/${platform}`;
-    fs.mkdirSync(path, {
-        recursive: true
-    });
+// dest folder of the next build of the app. The folder is not created.
+function getNextDestination(id, version, platform) {
+    version = version || '1.0.0';
+    const path = `${getRootDir()}/build/${id}/${version}/${platform}`;
     let next = 1;
     if (fs.existsSync(path)) {
         next = fs.readdirSync(path).reduce((a, f) => {
@@ -318,7 +485,11 @@ async function getDefaultDestination(id, platform) {
             return a;
         }, next);
     }
-    const dest = path + '/' + next;
+    return path + '/' + next;
+}
+
+async function getDefaultDestination(id, version, platform) {
+    const dest = getNextDestination(id, version, platform);
     fs.mkdirSync(dest, {
         recursive: true
     });
@@ -361,9 +532,17 @@ async function ejectProject(args) {
         taskLogger.setTotal(androidBuildSteps[3].total);
         taskLogger.incrementProgress(1);
         if(args.platform){
+            const ejectInputs = getEjectInputs(config.src);
+            // native project, that an incremental build kept from an earlier eject, is generated again,
+            // so that the changes made to it are not carried over.
+            if (args.incremental && readProjectState(config.src).ejected) {
+                fs.removeSync(config.src + args.platform);
+            }
+            clearProjectState(config.src, 'ejected');
             await exec('npx', ['expo','prebuild', "--platform", args.platform], {
                 cwd: config.src
             });
+            markEjected(config.src, args.platform, ejectInputs);
         }else{
             await exec('npx', ['expo','prebuild'], {
                 cwd: config.src
@@ -396,7 +575,7 @@ async function ejectProject(args) {
             message: args.platform + ' eject project Failed. Due to :' + e,
         });
         taskLogger.fail(androidBuildSteps[3].fail);
-        return { errors: e, success: false };
+        return { errors: e, success: false, error: new EjectError(args.platform + ' eject project Failed. Due to :' + e, e) };
     }
 }
 
@@ -416,12 +595,10 @@ async function prepareProject(args) {
         config.platform = args.platform;
         config.buildType = args.buildType;
 
-        if (args.platform !== 'android') {
-            VERSIONS.JAVA = '1.8.0';
-        }
         const prerequisiteError = {
             errors: 'check if all prerequisites are installed.',
-            success: false
+            success: false,
+            error: new PrerequisitesError('check if all prerequisites are installed.')
         };
         if (config.embed) {
             if (!await canDoEmbed()) {
@@ -448,16 +625,27 @@ async function prepareProject(args) {
         })
         taskLogger.incrementProgress(0.2);
         try{
-            await exec('npm', ['install'], {
-                cwd: config.src
-            });
-            taskLogger.succeed("All dependencies installed successfully.")
+            if (args.incremental && isPrepared(config.src)) {
+                taskLogger.succeed('node_modules of the earlier build is up to date. Skipped the install.');
+            } else {
+                const prepareInputs = getPrepareInputs(config.src);
+                await installDependencies(config.src, 'build', () => exec('npm', ['install'], {
+                    cwd: config.src
+                }));
+                markPrepared(config.src, prepareInputs);
+                taskLogger.succeed("All dependencies installed successfully.")
+            }
         }catch(e){
             logger.error({
                 label: loggerLabel,
                 message: "Dependency installation failed. Due to : "+ e,
             });
             taskLogger.fail("Dependency installation failed. Due to : "+ e);
+            return {
+                errors: e,
+                success: false,
+                error: new DependencyInstallError("Dependency installation failed. Due to : " + e, e)
+            };
         }
     } catch (e) {
         logger.error({
@@ -465,7 +653,7 @@ async function prepareProject(args) {
             message: args.platform + ' prepare project Failed. Due to :' + e,
         });
         taskLogger.fail(args.platform + ' prepare project Failed. Due to :' + e);
-        return { errors: e, success : false };
+        return { errors: e, success : false, error: new CliError(args.platform + ' prepare project Failed. Due to :' + e, e) };
     }
 }
 
@@ -498,14 +686,20 @@ async function clearUnusedAssets(platform) {
 }
 
 module.exports = {
+    BUILD_PHASES: BUILD_PHASES,
+    addBuildPhase: addBuildPhase,
+    includesNativeBuild: includesNativeBuild,
+    getNextDestination: getNextDestination,
+    readWmRNConfig: readWmRNConfig,
     ejectProject: (args) => {
         args.autoEject = true;
-        args.ejectProject = true;
+        args.toPhase = 'eject';
         args.platform === 'expo'
-        build(args);
+        return build(args);
     },
     embed: async (args) => {
         args.autoEject = true;
+        args.toPhase = 'eject';
         config.embed = true;
         await build(args);
         if (args.platform === 'android') {
@@ -524,7 +718,7 @@ module.exports = {
     },
     build: build,
     prepareProject: async (args) => {
-        args.targetPhase = 'PREPARE';
+        args.toPhase = 'prepare';
         args.platform= 'expo';
         await build(args);
         logger.info({
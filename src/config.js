@@ -1,11 +1,4 @@
-const path = require('path');
-const fs = require('fs-extra');
+const { contextual, createConfig } = require('./build-context');
 
-module.exports = {
-    src: '',
-    buildType: '',
-    logDirectory: '',
-    outputDirectory: '',
-    metaData: {},
-    embed: false
-};
+// config of the build in progress. Every build started with the api has its own config (see build-context.js).
+module.exports = contextual('config', createConfig, createConfig());
@@ -0,0 +1,99 @@
+const { redact } = require("../redact");
+const { contextual } = require("../build-context");
+
+// version of the event format. Increment it when a field is removed or its meaning is changed.
+const EVENT_FORMAT_VERSION = 1;
+
+function stripAnsi(text) {
+    return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+}
+
+/**
+ * Writes the progress of the cli as newline delimited json events (--output json).
+ * Every event has
+ *  version   - version of the event format
+ *  type      - phase, step, progress, message or log
+ *  timestamp - ISO time
+ *  severity  - debug, info, success, warn or error
+ *  phase     - id of the build phase in progress (setup, prepare, eject, nativeBuild), if any
+ *  step      - text of the step in progress
+ *  progress  - {step, overall} in percentage
+ *
+ * When an emitter is given, the events are emitted on it with their type and as 'event', instead of being written.
+ */
+class EventStream {
+    constructor(options = {}) {
+        this.emitter = options.emitter;
+        this.enabled = !!this.emitter;
+        this.stream = process.stdout;
+        this.phase = null;
+        this.step = null;
+        this.progress = {
+            step: 0,
+            overall: 0
+        };
+    }
+
+    enable(stream) {
+        this.enabled = true;
+        this.stream = stream || process.stdout;
+        return this;
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        return this;
+    }
+
+    setStep(step) {
+        this.step = step;
+        return this;
+    }
+
+    setProgress(step, overall) {
+        this.progress = {
+            step: step,
+            overall: overall
+        };
+        return this;
+    }
+
+    createEvent(type, severity, data) {
+        return Object.assign({
+            version: EVENT_FORMAT_VERSION,
+            type: type,
+            timestamp: new Date().toISOString(),
+            severity: severity,
+            phase: this.phase,
+            step: this.step,
+            progress: this.progress
+        }, data, data && data.message !== undefined ? {
+            message: stripAnsi(redact(String(data.message)))
+        } : {});
+    }
+
+    emit(type, severity, data) {
+        if (!this.enabled) {
+            return;
+        }
+        const event = this.createEvent(type, severity, data);
+        if (this.emitter) {
+            this.emitter.emit(type, event);
+            this.emitter.emit('event', event);
+            return event;
+        }
+        this.stream.write(JSON.stringify(event) + '\n');
+        return event;
+    }
+}
+
+module.exports = {
+    EVENT_FORMAT_VERSION: EVENT_FORMAT_VERSION,
+    EventStream: EventStream,
+    // event stream of the build in progress. Builds started with the api have their own (see build-context.js).
+    eventStream: contextual('eventStream', () => new EventStream(), new EventStream())
+};
@@ -1,6 +1,13 @@
 const readline = require("readline");
 const chalk = require("chalk");
 const { ProgressBar, overallProgressBar } = require("./progress-bar");
+const { redact } = require("../redact");
+const { eventStream } = require("./event-stream");
+const { contextual, isVerbose, getLogDirectory } = require("../build-context");
+
+function percentage(progressBar) {
+    return progressBar.total ? Math.floor((progressBar.value / progressBar.total) * 100) : 0;
+}
 
 class CustomSpinnerBar {
     constructor(options = {}) {
@@ -23,10 +30,19 @@ class CustomSpinnerBar {
         this.spinnerInterval = null;
 
         this.progressBar = new ProgressBar(options);
+        this.overallProgressBar = options.overallProgressBar || overallProgressBar;
     }
 
     start(text) {
-        if (global.verbose) return;
+        if (eventStream.isEnabled()) {
+            if (text) this.text = text;
+            this.resetProgressBar();
+            this.progressBar.start();
+            eventStream.setStep(this.text);
+            this.emitEvent('step', 'info', {status: 'started', message: this.text});
+            return this;
+        }
+        if (isVerbose()) return;
         if (text) this.text = text;
         this.isSpinning = true;
         this.frameIndex = 0;
@@ -38,7 +54,7 @@ class CustomSpinnerBar {
     }
 
     stop() {
-        if (global.verbose) return this;
+        if (isVerbose()) return this;
         this.isSpinning = false;
         clearInterval(this.spinnerInterval);
         this.spinnerInterval = null;
@@ -48,12 +64,17 @@ class CustomSpinnerBar {
     }
 
     succeed(text) {
-        if (global?.verbose) return this;
+        if (eventStream.isEnabled()) {
+            this.progressBar.setProgress(this.progressBar.total);
+            this.emitEvent('step', 'success', {status: 'succeeded', message: text || this.text});
+            return this;
+        }
+        if (isVerbose()) return this;
         this.stop();
 
         this.progressBar.setProgress(this.progressBar.total);
 
-        let output = `${chalk.green("✔")} ${text || this.text}`;
+        let output = `${chalk.green("✔")} ${redact(text || this.text)}`;
         output += " " + this.progressBar.render();
 
         this.stream.write(`${output}\n`);
@@ -61,46 +82,62 @@ class CustomSpinnerBar {
     }
 
     fail(text) {
-        if (global.verbose) return this;
+        if (eventStream.isEnabled()) {
+            this.emitEvent('step', 'error', {status: 'failed', message: text || this.text, logDirectory: getLogDirectory()});
+            return this;
+        }
+        if (isVerbose()) return this;
         this.stop();
-        let finalText = text || this.text;
-        if(global.logDirectory){
-            finalText += chalk.gray(" Check logs at: ") + chalk.cyan(global.logDirectory);
+        let finalText = redact(text || this.text);
+        if(getLogDirectory()){
+            finalText += chalk.gray(" Check logs at: ") + chalk.cyan(getLogDirectory());
         }
         this.stream.write(`${chalk.red('✖')} ${chalk.bold.red(finalText)}\n`);
-        process.exit(1);
-        // return this;
+        return this;
     }
 
     info(text) {
-        if (global.verbose) return this;
+        if (eventStream.isEnabled()) {
+            this.emitEvent('message', 'info', {message: text || this.text});
+            return this;
+        }
+        if (isVerbose()) return this;
         this.stop();
-        this.stream.write(`${chalk.blue("ℹ")} ${text || this.text}\n`);
+        this.stream.write(`${chalk.blue("ℹ")} ${redact(text || this.text)}\n`);
         return this;
     }
 
     warn(text) {
-        if (global.verbose) return this;
+        if (eventStream.isEnabled()) {
+            this.emitEvent('message', 'warn', {message: text || this.text});
+            return this;
+        }
+        if (isVerbose()) return this;
         this.stop();
-        this.stream.write(`${chalk.yellow("⚠")} ${text || this.text}\n`);
+        this.stream.write(`${chalk.yellow("⚠")} ${redact(text || this.text)}\n`);
         return this;
     }
 
     render() {
-        if (global.verbose) return;
+        if (isVerbose()) return;
         readline.clearLine(this.stream, 0);
         readline.cursorTo(this.stream, 0);
     
         const frame = this.spinner[this.frameIndex] || '';
         const progressBar = this.progressBar?.render() || '';
-        const overallProgress = overallProgressBar?.render() || '';
+        const overallProgress = this.overallProgressBar?.render() || '';
     
-        const output = `${chalk.cyan(frame)} ${this.text} ${progressBar} ${overallProgressBar.status() ?`| ${overallProgress}` : ''}`;
+        const output = `${chalk.cyan(frame)} ${redact(this.text)} ${progressBar} ${this.overallProgressBar.status() ?`| ${overallProgress}` : ''}`;
         this.stream.write(output);
     
         this.frameIndex = (this.frameIndex + 1) % this.spinner.length;
     }
     
+    emitEvent(type, severity, data) {
+        eventStream.setProgress(percentage(this.progressBar), percentage(this.overallProgressBar));
+        return eventStream.emit(type, severity, data);
+    }
+
     setText(text) {
         this.text = text;
         return this;
@@ -114,13 +151,15 @@ class CustomSpinnerBar {
 
     setProgress(value) {
         this.progressBar.setProgress(value);
-        overallProgressBar.setProgress(value);
+        this.overallProgressBar.setProgress(value);
+        this.emitEvent('progress', 'info');
         return this;
     }
 
     incrementProgress(amount = 1) {
         this.progressBar.incrementProgress(amount);
-        overallProgressBar.incrementProgress(amount);
+        this.overallProgressBar.incrementProgress(amount);
+        this.emitEvent('progress', 'info');
         return this;
     }
 
@@ -140,8 +179,12 @@ class CustomSpinnerBar {
     }
 }
 
-// Exporting singleton instance and function for new instance
+// Exporting singleton instance and function for new instance.
+// Builds started with the api have their own spinner and overall progress (see build-context.js).
 module.exports = {
-    spinnerBar: new CustomSpinnerBar(),
+    spinnerBar: contextual('spinnerBar', () => new CustomSpinnerBar({
+        newInstance: true,
+        overallProgressBar: new ProgressBar()
+    }), new CustomSpinnerBar()),
     createNewSpinnerBar: (options) => new CustomSpinnerBar({ ...options, newInstance: true })
 };
@@ -0,0 +1,269 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const logger = require('./logger');
+const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { getRootDir } = require('./build-context');
+const pkg = require('../package.json');
+
+const loggerLabel = 'dependency-cache';
+const LOCK_FILES = ['package-lock.json', 'yarn.lock'];
+const META_FILE = 'meta.json';
+
+function getCacheDir() {
+    return `${getRootDir()}/cache/node_modules`;
+}
+
+/**
+ * key of the node_modules tree, that npm install would produce for the project.
+ * target tells what else is done to node_modules after the install (build, webPreview, expoPreview).
+ * Version of the cli is a part of the key, as the patches applied to node_modules change with it.
+ */
+function getCacheKey(projectDir, target) {
+    const packageJsonPath = path.join(projectDir, 'package.json');
+    if (!fs.existsSync(packageJsonPath)) {
+        return null;
+    }
+    const hash = crypto.createHash('sha256');
+    hash.update(`${target}\n${pkg.version}\n`);
+    hash.update(`${process.platform}-${process.arch}-node${process.versions.node.split('.')[0]}\n`);
+    hash.update(fs.readFileSync(packageJsonPath));
+    LOCK_FILES.forEach(f => {
+        const lockFile = path.join(projectDir, f);
+        if (fs.existsSync(lockFile)) {
+            hash.update(`\n${f}\n`);
+            hash.update(fs.readFileSync(lockFile));
+        }
+    });
+    return hash.digest('hex');
+}
+
+function readMeta(entryDir) {
+    const metaFile = path.join(entryDir, META_FILE);
+    if (!fs.existsSync(metaFile)) {
+        return null;
+    }
+    try {
+        return fs.readJSONSync(metaFile);
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeMeta(entryDir, meta) {
+    fs.writeFileSync(path.join(entryDir, META_FILE), JSON.stringify(meta, null, 4));
+}
+
+// links all the files of src into dest. Files are copied, when hard links are not possible (ex: different drives).
+function linkTree(src, dest, state) {
+    state = state || {link: true};
+    fs.mkdirSync(dest, {recursive: true});
+    fs.readdirSync(src).forEach(f => {
+        const srcPath = path.join(src, f);
+        const destPath = path.join(dest, f);
+        const stat = fs.lstatSync(srcPath);
+        if (stat.isDirectory()) {
+            linkTree(srcPath, destPath, state);
+        } else if (stat.isSymbolicLink()) {
+            fs.symlinkSync(fs.readlinkSync(srcPath), destPath);
+        } else {
+            if (state.link) {
+                try {
+                    fs.linkSync(srcPath, destPath);
+                    return;
+                } catch (e) {
+                    state.link = false;
+                }
+            }
+            fs.copyFileSync(srcPath, destPath);
+            fs.chmodSync(destPath, stat.mode);
+        }
+    });
+    return state;
+}
+
+function getTreeSize(dir) {
+    return fs.readdirSync(dir).reduce((size, f) => {
+        const stat = fs.lstatSync(path.join(dir, f));
+        if (stat.isDirectory()) {
+            return size + getTreeSize(path.join(dir, f));
+        }
+        return size + stat.size;
+    }, 0);
+}
+
+function restore(entryDir, projectDir) {
+    const nodeModules = path.join(projectDir, 'node_modules');
+    fs.removeSync(nodeModules);
+    const state = linkTree(path.join(entryDir, 'node_modules'), nodeModules);
+    LOCK_FILES.forEach(f => {
+        if (fs.existsSync(path.join(entryDir, f))) {
+            fs.copyFileSync(path.join(entryDir, f), path.join(projectDir, f));
+        }
+    });
+    return state.link;
+}
+
+function store(key, target, projectDir) {
+    const entryDir = path.join(getCacheDir(), key);
+    // random suffix keeps the builds of a process (see api.js), that store the same key together, apart.
+    const tempDir = `${entryDir}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    // files are copied, so that the changes done to the project later do not reach the cache.
+    fs.removeSync(tempDir);
+    fs.copySync(path.join(projectDir, 'node_modules'), path.join(tempDir, 'node_modules'), {
+        dereference: false
+    });
+    LOCK_FILES.forEach(f => {
+        if (fs.existsSync(path.join(projectDir, f))) {
+            fs.copyFileSync(path.join(projectDir, f), path.join(tempDir, f));
+        }
+    });
+    writeMeta(tempDir, {
+        key: key,
+        target: target,
+        createdAt: Date.now(),
+        lastUsedAt: Date.now(),
+        hits: 0,
+        size: getTreeSize(tempDir)
+    });
+    fs.removeSync(entryDir);
+    try {
+        fs.renameSync(tempDir, entryDir);
+    } catch (e) {
+        // another build has stored the same key in the meantime.
+        fs.removeSync(tempDir);
+        if (!fs.existsSync(entryDir)) {
+            throw e;
+        }
+    }
+}
+
+// tells whether installDependencies would use the cached node_modules.
+function isCached(projectDir, target) {
+    const key = !process.env.WM_RN_NO_DEPENDENCY_CACHE && getCacheKey(projectDir, target);
+    return !!(key && readMeta(path.join(getCacheDir(), key)));
+}
+
+/**
+ * Reuses the cached node_modules, if the project has the same package.json and lock file as an earlier install.
+ * Otherwise, installFn is invoked and the resulting node_modules is added to the cache.
+ * Cache is skipped when the environment variable WM_RN_NO_DEPENDENCY_CACHE is set.
+ */
+async function installDependencies(projectDir, target, installFn) {
+    const key = !process.env.WM_RN_NO_DEPENDENCY_CACHE && getCacheKey(projectDir, target);
+    if (!key) {
+        return installFn();
+    }
+    const entryDir = path.join(getCacheDir(), key);
+    const meta = readMeta(entryDir);
+    if (meta) {
+        try {
+            const linked = restore(entryDir, projectDir);
+            meta.lastUsedAt = Date.now();
+            meta.hits = (meta.hits || 0) + 1;
+            writeMeta(entryDir, meta);
+            logger.info({
+                label: loggerLabel,
+                message: `reused node_modules (${key.substring(0, 12)}) from the cache by ${linked ? 'linking' : 'copying'}.`
+            });
+            taskLogger.info(`Reused node_modules from the cache (${key.substring(0, 12)}).`);
+            return;
+        } catch (e) {
+            logger.warn({
+                label: loggerLabel,
+                message: `could not reuse node_modules from the cache. Due to: ${e}`
+            });
+            fs.removeSync(path.join(projectDir, 'node_modules'));
+        }
+    }
+    const result = await installFn();
+    if (fs.existsSync(path.join(projectDir, 'node_modules'))) {
+        try {
+            store(key, target, projectDir);
+            logger.info({
+                label: loggerLabel,
+                message: `added node_modules (${key.substring(0, 12)}) to the cache.`
+            });
+        } catch (e) {
+            logger.warn({
+                label: loggerLabel,
+                message: `could not add node_modules to the cache. Due to: ${e}`
+            });
+        }
+    }
+    return result;
+}
+
+function getCacheEntries() {
+    const cacheDir = getCacheDir();
+    if (!fs.existsSync(cacheDir)) {
+        return [];
+    }
+    return fs.readdirSync(cacheDir)
+        .map(f => ({dir: path.join(cacheDir, f), meta: readMeta(path.join(cacheDir, f))}))
+        .filter(e => e.meta)
+        .map(e => ({...e.meta, dir: e.dir}));
+}
+
+function formatSize(size) {
+    return `${Math.round(size * 100 / (1024 * 1024)) / 100} MB`;
+}
+
+function printCacheStats(args) {
+    const entries = getCacheEntries().sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    const stats = {
+        directory: getCacheDir(),
+        entries: entries.length,
+        size: entries.reduce((s, e) => s + (e.size || 0), 0),
+        hits: entries.reduce((s, e) => s + (e.hits || 0), 0),
+        items: entries
+    };
+    if (args.json) {
+        console.log(JSON.stringify(stats, null, 2));
+        return stats;
+    }
+    console.log(chalk.bold(`\nDependency cache at ${stats.directory}\n`));
+    console.log(`Entries : ${stats.entries}`);
+    console.log(`Size    : ${formatSize(stats.size)}`);
+    console.log(`Hits    : ${stats.hits}\n`);
+    entries.forEach(e => {
+        console.log(`${e.key.substring(0, 12)}  ${(e.target || '').padEnd(12)}  ${formatSize(e.size || 0).padStart(10)}  `
+            + `hits: ${e.hits || 0}  last used: ${new Date(e.lastUsedAt).toLocaleString()}`);
+    });
+    console.log('');
+    return stats;
+}
+
+/**
+ * removes the entries that are not used in the last args.days days. All entries are removed when args.all is true.
+ */
+function pruneCache(args) {
+    const cacheDir = getCacheDir();
+    if (!fs.existsSync(cacheDir)) {
+        console.log('Dependency cache is empty.');
+        return [];
+    }
+    const threshold = Date.now() - (args.days || 0) * 24 * 60 * 60 * 1000;
+    const removed = [];
+    fs.readdirSync(cacheDir).forEach(f => {
+        const entryDir = path.join(cacheDir, f);
+        const meta = readMeta(entryDir);
+        // entries without meta are left over by the interrupted installs.
+        if (args.all || !meta || meta.lastUsedAt < threshold) {
+            fs.removeSync(entryDir);
+            removed.push(meta || {key: f, size: 0});
+        }
+    });
+    console.log(`Removed ${removed.length} entries (${formatSize(removed.reduce((s, e) => s + (e.size || 0), 0))}) from the dependency cache.`);
+    return removed;
+}
+
+module.exports = {
+    getCacheKey: getCacheKey,
+    isCached: isCached,
+    installDependencies: installDependencies,
+    getCacheEntries: getCacheEntries,
+    printCacheStats: printCacheStats,
+    pruneCache: pruneCache
+};
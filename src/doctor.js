@@ -0,0 +1,63 @@
+const chalk = require('chalk');
+const { runRequirementChecks } = require('./requirements');
+
+const STATUS_SYMBOLS = {
+    ok: chalk.green('✔ ok'),
+    warn: chalk.yellow('⚠ warn'),
+    error: chalk.red('✖ error')
+};
+
+function pad(str, width) {
+    str = str || '-';
+    return str + ' '.repeat(Math.max(width - str.length, 0));
+}
+
+function printTable(platform, results) {
+    const columns = [
+        {title: 'Tool', value: r => r.name},
+        {title: 'Version', value: r => r.version},
+        {title: 'Required', value: r => r.required && `>= ${r.required}`},
+        {title: 'Path', value: r => r.path}
+    ];
+    const widths = columns.map(c => Math.max(c.title.length, ...results.map(r => (c.value(r) || '-').length)));
+    const header = columns.map((c, i) => pad(c.title, widths[i])).join('  ') + '  Status';
+    console.log(chalk.bold(`\nChecking requirements for ${platform || 'android, ios and preview'}\n`));
+    console.log(chalk.bold(header));
+    console.log('-'.repeat(header.length));
+    results.forEach(r => {
+        console.log(columns.map((c, i) => pad(c.value(r), widths[i])).join('  ') + '  ' + STATUS_SYMBOLS[r.status]);
+    });
+    const issues = results.filter(r => r.status !== 'ok');
+    if (issues.length) {
+        console.log(chalk.bold('\nHow to fix:\n'));
+        issues.forEach(r => {
+            console.log(`${STATUS_SYMBOLS[r.status]} ${chalk.bold(r.name)}: ${r.message}`);
+            r.fix && console.log(`    ${chalk.cyan(r.fix)}`);
+        });
+    } else {
+        console.log(chalk.green('\nAll requirements are met.'));
+    }
+    console.log('');
+}
+
+async function doctor(args) {
+    const results = await runRequirementChecks(args.platform);
+    const success = !results.some(r => r.status === 'error');
+    if (args.json) {
+        console.log(JSON.stringify({
+            platform: args.platform || 'all',
+            success: success,
+            checks: results
+        }, null, 2));
+    } else {
+        printTable(args.platform, results);
+    }
+    return {
+        success: success,
+        checks: results
+    };
+}
+
+module.exports = {
+    doctor: doctor
+};
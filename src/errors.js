@@ -0,0 +1,127 @@
+// exit codes of the cli. These are documented in README.md, change them only with a major version.
+const EXIT_CODES = {
+    SUCCESS: 0,
+    FAILED: 1,
+    PREREQUISITES_MISSING: 10,
+    DEPENDENCY_INSTALL_FAILED: 11,
+    EJECT_FAILED: 12,
+    NATIVE_BUILD_FAILED: 13,
+    SIGNING_INVALID: 14,
+    AUTH_FAILED: 15,
+    SYNC_FAILED: 16,
+    HOOK_FAILED: 17,
+    PATCH_FAILED: 18,
+    ARTIFACT_INVALID: 19
+};
+
+/**
+ * Base class of the errors thrown by the cli. exitCode is the code, the process exits with.
+ * details has the underlying errors (ex: the error list of a failed build).
+ */
+class CliError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.exitCode = EXIT_CODES.FAILED;
+        this.details = details;
+    }
+}
+
+class PrerequisitesError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.PREREQUISITES_MISSING;
+    }
+}
+
+class DependencyInstallError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.DEPENDENCY_INSTALL_FAILED;
+    }
+}
+
+class EjectError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.EJECT_FAILED;
+    }
+}
+
+class NativeBuildError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.NATIVE_BUILD_FAILED;
+    }
+}
+
+class SigningError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.SIGNING_INVALID;
+    }
+}
+
+class AuthError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.AUTH_FAILED;
+    }
+}
+
+class SyncError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.SYNC_FAILED;
+    }
+}
+
+class HookError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.HOOK_FAILED;
+    }
+}
+
+class PatchError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.PATCH_FAILED;
+    }
+}
+
+class ArtifactError extends CliError {
+    constructor(message, details) {
+        super(message, details);
+        this.exitCode = EXIT_CODES.ARTIFACT_INVALID;
+    }
+}
+
+function getExitCode(error) {
+    return (error && error.exitCode) || EXIT_CODES.FAILED;
+}
+
+// message of an error or of the error list returned by the native builds.
+function getErrorMessage(errors) {
+    if (Array.isArray(errors)) {
+        return errors.join('\n\t');
+    }
+    return (errors && errors.message) || String(errors);
+}
+
+module.exports = {
+    EXIT_CODES: EXIT_CODES,
+    CliError: CliError,
+    PrerequisitesError: PrerequisitesError,
+    DependencyInstallError: DependencyInstallError,
+    EjectError: EjectError,
+    NativeBuildError: NativeBuildError,
+    SigningError: SigningError,
+    AuthError: AuthError,
+    SyncError: SyncError,
+    HookError: HookError,
+    PatchError: PatchError,
+    ArtifactError: ArtifactError,
+    getExitCode: getExitCode,
+    getErrorMessage: getErrorMessage
+};
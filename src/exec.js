@@ -1,5 +1,6 @@
 const execa = require('execa');
 const logger = require('./logger');
+const { redact } = require('./redact');
 const loggerLabel = 'exec';
 
 function isErrorWithoutWarning(v) {
@@ -19,7 +20,8 @@ class OutputPipe {
         let reminder = '';
         str.split('\n').forEach((v, i, splits) => {
             if (i < splits.length - 1) {
-                v && (this.logOutput || isErrorType) && (isErrorType && isErrorWithoutWarning(v) ? logger.error({label: this.loggerLabel, message: v}) : logger.debug({label: this.loggerLabel, message: v}));
+                const message = redact(v);
+                message && (this.logOutput || isErrorType) && (isErrorType && isErrorWithoutWarning(message) ? logger.error({label: this.loggerLabel, message: message}) : logger.debug({label: this.loggerLabel, message: message}));
                 if (this.content.length > this.bufferSize) {
                     this.content.shift();
                 }
@@ -51,8 +53,8 @@ module.exports = {
             `
         });
         
-        const outputPipe = new OutputPipe(100, options && options.log, cmd.substr(cmd.lastIndexOf('/') + 1));
-        const spawn = execa(cmd, args, {...options, env:{...process.env, FORCE_COLOR:'1'}});
+        const outputPipe = new OutputPipe(options && options.bufferSize, options && options.log, cmd.substr(cmd.lastIndexOf('/') + 1));
+        const spawn = execa(cmd, args, {...options, env:{...process.env, ...(options && options.env), FORCE_COLOR:'1'}});
         spawn.stdout.on('data', (data) => {
             outputPipe.push(String.fromCharCode.apply(null, new Uint16Array(data)));
         });
@@ -60,6 +62,10 @@ module.exports = {
             outputPipe.push(String.fromCharCode.apply(null, new Uint16Array(data)), true);
         });
         return new Promise((resolve, reject) => {
+            // command could not be spawned (i.e. not installed)
+            spawn.on('error', e => reject(e));
+            // failures are settled through the 'error' and 'close' listeners.
+            spawn.catch(() => {});
             spawn.on('close', code => {
                 outputPipe.flush();
                 if (code == 0) {
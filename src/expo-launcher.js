@@ -15,6 +15,9 @@ const crypto = require('crypto');
 const {VERSIONS, hasValidExpoVersion} = require('./requirements');
 const axios = require('axios');
 const { setupProject } = require('./project-sync.service');
+const dependencyCache = require('./dependency-cache');
+const { SyncError, DependencyInstallError } = require('./errors');
+const { getSdkProfile, getSdkProfileOfProject, getExpoVersion, applyDependencyPins, applyNodeModulesPatches } = require('./sdk-profiles');
 const path = require('path');
 const semver = require('semver');
 //const openTerminal =  require('open-terminal').default;
@@ -141,17 +144,9 @@ function getIpAddress() {
 async function updatePackageJsonFile(path) {
     let data = fs.readFileSync(path, 'utf-8');
     const jsonData = JSON.parse(data);
-    if(semver.eq(jsonData["dependencies"]["expo"], "54.0.12")){
-        //do nothing
-    }
-    else{
-        if (jsonData['dependencies']['expo-file-system'] === '^15.1.1') {
-            jsonData['dependencies']['expo-file-system'] = '15.2.2'
-        }
-        if(isWebPreview){
-            jsonData['dependencies']['react-native-svg'] = '13.4.0';
-        }    
-    }
+    applyDependencyPins(jsonData, 'expoPreview', {
+        isWebPreview: isWebPreview
+    });
     fs.writeFileSync(path, JSON.stringify(jsonData), 'utf-8');
     logger.info({
         'label': loggerLabel,
@@ -171,16 +166,7 @@ async function transpile(projectDir, previewUrl, incremental) {
             let templatePackageJsonFile = path.resolve(`${process.env.WAVEMAKER_STUDIO_FRONTEND_CODEBASE}/wavemaker-rn-codegen/src/templates/project/package.json`);
             let templatePackageJsonDir = path.resolve(`${process.env.WAVEMAKER_STUDIO_FRONTEND_CODEBASE}/wavemaker-rn-codegen/src/templates/project/`);
             const packageJson = require(templatePackageJsonFile);
-            if(semver.eq(packageJson["dependencies"]["expo"], "52.0.17")){
-                packageLockJsonFile = path.resolve(`${__dirname}/../templates/package/packageLock.json`);
-            } 
-            if(semver.eq(packageJson["dependencies"]["expo"], "54.0.12")){
-                if(isWebPreview){
-                    packageLockJsonFile = path.resolve(`${__dirname}/../templates/package/packageLock.json`);
-                } else {
-                    packageLockJsonFile = path.resolve(`${__dirname}/../templates/package/packageLock.json`);
-                }
-            }
+            packageLockJsonFile = getSdkProfile(getExpoVersion(packageJson)).lockfileTemplate || '';
             taskLogger.incrementProgress(2);
         } else {
             const wmProjectDir = getWmProjectDir(projectDir);
@@ -248,6 +234,7 @@ async function transpile(projectDir, previewUrl, incremental) {
 
     }catch(e){
         taskLogger.fail(previewSteps[3].fail);
+        throw new SyncError(`${previewSteps[3].fail} Due to: ${e}`, e);
     }
 }
 
@@ -258,13 +245,14 @@ async function installDependencies(projectDir) {
             taskLogger.start(previewSteps[4].start);
             taskLogger.setTotal(previewSteps[4].total);
             taskLogger.incrementProgress(1);
-            await exec('npm', ['install'], {
+            await dependencyCache.installDependencies(getExpoProjectDir(projectDir), 'expoPreview', () => exec('npm', ['install'], {
                 cwd: getExpoProjectDir(projectDir)
-            }); 
+            }));
             taskLogger.incrementProgress(3);
             taskLogger.succeed(previewSteps[4].succeed);
         }catch(e){
             taskLogger.fail(previewSteps[4].fail);
+            throw new DependencyInstallError(`${previewSteps[4].fail} Due to: ${e}`, e);
         }
     }
 }
@@ -373,18 +361,9 @@ async function watchProjectChanges(previewUrl, onChange, lastModifiedOn) {
 }
 // expo android, ios are throwing errors with reanimated plugin
 // hence modifying the 2.8.0version and just adding chrome debugging fix to this.
-function updateReanimatedPlugin(projectDir) {
-    const packageFile = `${getExpoProjectDir(projectDir)}/package.json`;
-    const package = JSON.parse(fs.readFileSync(packageFile, {
-        encoding: 'utf-8'
-    }));
-    if (package['dependencies']['expo'] === '48.0.18' || package['dependencies']['expo'] === '49.0.7') {
-        let path = getExpoProjectDir(projectDir);
-        path = path + '/node_modules/react-native-reanimated/src/reanimated2/NativeReanimated/NativeReanimated.ts';
-        let content = fs.readFileSync(path, 'utf-8');
-        content = content.replace(/global.__reanimatedModuleProxy === undefined/gm, `global.__reanimatedModuleProxy === undefined && native`);
-        fs.writeFileSync(path, content);
-    }
+async function updateReanimatedPlugin(projectDir) {
+    const expoProjectDir = getExpoProjectDir(projectDir);
+    await applyNodeModulesPatches(expoProjectDir, getSdkProfileOfProject(expoProjectDir), 'expoPreview');
 }
 
 function getLastModifiedTime(path) {
@@ -442,13 +421,9 @@ async function runExpo(previewUrl, clean, authToken) {
 
         await installDependencies(projectDir);
         if (!isWebPreview) {
-            updateReanimatedPlugin(projectDir);
+            await updateReanimatedPlugin(projectDir);
         }
-        const packageFile = `${getExpoProjectDir(projectDir)}/package.json`;
-        const package = JSON.parse(fs.readFileSync(packageFile, {
-            encoding: 'utf-8'
-        }));
-        barcodePort = package['dependencies']['expo'] === '48.0.18' ? 19000:8081;
+        barcodePort = getSdkProfileOfProject(getExpoProjectDir(projectDir)).ports.expoPreview;
         if (useProxy || isWebPreview) {
             launchServiceProxy(projectDir, previewUrl);
         }
@@ -483,6 +458,7 @@ async function runExpo(previewUrl, clean, authToken) {
             label: loggerLabel,
             message: e
         });
+        throw e;
     }
 }
 
@@ -532,7 +508,7 @@ async function runNative(previewUrl, platform, clean) {
         const {projectDir, syncProject} = await setup(previewUrl, clean);
 
         await installDependencies(projectDir);
-        updateReanimatedPlugin(projectDir);
+        await updateReanimatedPlugin(projectDir);
         if (useProxy) {
             launchServiceProxy(projectDir, previewUrl);
         }
@@ -581,7 +557,7 @@ async function runNative(previewUrl, platform, clean) {
 module.exports = {
     runESBuildWebPreview: (previewUrl, clean, authToken) => {
         isWebPreview = true;
-        runExpo(previewUrl, clean, authToken);
+        return runExpo(previewUrl, clean, authToken);
     },
     runExpo: runExpo,
     runAndroid: (previewUrl, clean) => runNative(previewUrl, 'android', clean),
@@ -0,0 +1,218 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getRootDir } = require('./build-context');
+const { runRequirementChecks } = require('./requirements');
+const { getBuilds } = require('./build-registry');
+const pkg = require('../package.json');
+
+const loggerLabel = 'build-fingerprint';
+const FINGERPRINT_FILE = 'output/build-fingerprint.json';
+// folders that are not part of the source of the app.
+const IGNORED_FOLDERS = ['node_modules', '.git', 'output'];
+// options that do not change the build output.
+const IGNORED_OPTIONS = ['_', '$0', 'src', 'dest', 'force', 'verbose', 'interactive', 'i',
+    'autoEject', 'auto-eject', 'profile', 'config', 'fromPhase', 'from-phase', 'toPhase', 'to-phase',
+    'output', 'dryRun', 'dry-run', 'incremental', 'allowKeyChange', 'allow-key-change'];
+// options pointing to files or folders, whose content is part of the build.
+const FILE_OPTIONS = ['aKeyStore', 'iCertificate', 'iProvisioningFile', 'localrnruntimepath'];
+const TOOL_VERSIONS_FILE = 'tool-versions.json';
+// versions of the tools are read again after a day, even when the environment is not changed.
+const TOOL_VERSIONS_MAX_AGE = 24 * 60 * 60 * 1000;
+// environment variables that change the tools used by the build.
+const TOOL_ENV_VARIABLES = ['PATH', 'JAVA_HOME', 'ANDROID_SDK_ROOT', 'ANDROID_HOME', 'GRADLE_HOME', 'DEVELOPER_DIR'];
+
+function hashTree(hash, dir, relativePath) {
+    fs.readdirSync(dir).sort().forEach(f => {
+        const filePath = path.join(dir, f);
+        const stat = fs.lstatSync(filePath);
+        if (stat.isDirectory()) {
+            if (!IGNORED_FOLDERS.includes(f)) {
+                hashTree(hash, filePath, `${relativePath}${f}/`);
+            }
+        } else if (stat.isSymbolicLink()) {
+            hash.update(`${relativePath}${f} -> ${fs.readlinkSync(filePath)}\n`);
+        } else {
+            hash.update(`${relativePath}${f}\n`);
+            hash.update(fs.readFileSync(filePath));
+        }
+    });
+    return hash;
+}
+
+function hashPath(p) {
+    const hash = crypto.createHash('sha256');
+    if (!p || !fs.existsSync(p)) {
+        return hash.update('').digest('hex');
+    }
+    if (fs.lstatSync(p).isDirectory()) {
+        return hashTree(hash, p, '').digest('hex');
+    }
+    return hash.update(fs.readFileSync(p)).digest('hex');
+}
+
+function hashValue(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// hook scripts are hashed by content and hook functions by their source.
+function getHooks(hooks) {
+    return Object.keys(hooks).sort().reduce((h, name) => {
+        h[name] = [].concat(hooks[name]).map(hook => {
+            if (typeof hook === 'function') {
+                return hook.toString();
+            }
+            return fs.existsSync(hook) ? hashPath(hook) : hook;
+        });
+        return h;
+    }, {});
+}
+
+function getFlags(args) {
+    return Object.keys(args).sort()
+        .filter(k => !IGNORED_OPTIONS.includes(k) && args[k] !== undefined)
+        .reduce((flags, k) => {
+            if (k === 'hooks') {
+                flags[k] = getHooks(args[k]);
+            } else {
+                flags[k] = FILE_OPTIONS.includes(k) ? hashPath(args[k]) : args[k];
+            }
+            return flags;
+        }, {});
+}
+
+// key of the environment, in which the tool versions are read. Installing or updating a tool changes the folder it is in.
+function getToolEnvironmentKey(platform) {
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    return hashValue({
+        platform: platform,
+        env: TOOL_ENV_VARIABLES.map(v => process.env[v] || ''),
+        dirs: dirs.map(d => fs.existsSync(d) ? fs.statSync(d).mtimeMs : 0)
+    });
+}
+
+/**
+ * versions of the build tools. Reading them starts java, gradle... So, they are kept in <rootDir>/tool-versions.json
+ * and read again only when the environment changes or after a day.
+ */
+async function getToolVersions(platform) {
+    const file = path.join(getRootDir(), TOOL_VERSIONS_FILE);
+    const key = getToolEnvironmentKey(platform);
+    let cache = {};
+    try {
+        cache = fs.existsSync(file) ? fs.readJSONSync(file) : {};
+    } catch (e) {
+        logger.debug({
+            label: loggerLabel,
+            message: `could not read ${file}. Due to: ${e}`
+        });
+    }
+    const cached = cache[platform];
+    if (cached && cached.key === key && Date.now() - cached.checkedAt < TOOL_VERSIONS_MAX_AGE) {
+        return cached.tools;
+    }
+    const tools = (await runRequirementChecks(platform))
+        .map(r => ({name: r.name, version: r.version}));
+    try {
+        cache[platform] = {
+            key: key,
+            checkedAt: Date.now(),
+            tools: tools
+        };
+        fs.mkdirsSync(path.dirname(file));
+        fs.writeFileSync(file, JSON.stringify(cache, null, 4));
+    } catch (e) {
+        logger.debug({
+            label: loggerLabel,
+            message: `could not write ${file}. Due to: ${e}`
+        });
+    }
+    return tools;
+}
+
+/**
+ * fingerprint of the build inputs. src should be the extracted project folder.
+ * Flags are kept only as a hash, so that the passwords in the flags are not exposed.
+ */
+async function computeFingerprint(src, args) {
+    const tools = await getToolVersions(args.platform);
+    const components = {
+        source: hashPath(src),
+        flags: hashValue(getFlags(args)),
+        cli: hashValue(pkg.version),
+        tools: hashValue(tools)
+    };
+    return {
+        fingerprint: hashValue(components),
+        components: components,
+        tools: tools
+    };
+}
+
+function getBuildsDirectory(appId) {
+    return `${getRootDir()}/build/${appId}`;
+}
+
+/**
+ * fingerprint files of the builds of the app, in the dest folders of the builds in the build registry (builds with
+ * --dest too) and at build/<id>/<version>/<platform>/<n>/output.
+ */
+function findFingerprintFiles(appId) {
+    const buildsDir = getBuildsDirectory(appId);
+    const files = getBuilds(appId)
+        .filter(b => b.dest && b.result === 'success')
+        .map(b => path.join(b.dest, FINGERPRINT_FILE))
+        .filter(f => fs.existsSync(f));
+    const list = (dir) => fs.existsSync(dir) ? fs.readdirSync(dir).map(f => path.join(dir, f)) : [];
+    list(buildsDir).forEach(versionDir => {
+        list(versionDir).forEach(platformDir => {
+            list(platformDir).forEach(buildDir => {
+                const file = path.join(buildDir, FINGERPRINT_FILE);
+                if (fs.existsSync(file) && !files.includes(file)) {
+                    files.push(file);
+                }
+            });
+        });
+    });
+    return files;
+}
+
+/**
+ * returns the latest earlier build of the app having the same fingerprint and an existing artifact.
+ */
+function findMatchingBuild(appId, fingerprint) {
+    return findFingerprintFiles(appId)
+        .map(f => {
+            try {
+                return fs.readJSONSync(f);
+            } catch (e) {
+                logger.debug({
+                    label: loggerLabel,
+                    message: `could not read ${f}. Due to: ${e}`
+                });
+                return null;
+            }
+        })
+        .filter(b => b && b.fingerprint === fingerprint && b.artifact && fs.existsSync(b.artifact))
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
+}
+
+function writeFingerprint(dest, fingerprint, artifact) {
+    const file = path.join(dest, FINGERPRINT_FILE);
+    fs.mkdirsSync(path.dirname(file));
+    fs.writeFileSync(file, JSON.stringify({
+        ...fingerprint,
+        artifact: artifact,
+        dest: dest,
+        createdAt: Date.now()
+    }, null, 4));
+}
+
+module.exports = {
+    hashPath: hashPath,
+    hashValue: hashValue,
+    computeFingerprint: computeFingerprint,
+    findMatchingBuild: findMatchingBuild,
+    writeFingerprint: writeFingerprint
+};
@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { exec } = require('./exec');
+const { HookError } = require('./errors');
+
+const loggerLabel = 'hooks';
+const HOOKS_FOLDER = 'wm-hooks';
+// extensions of the hook files in the wm-hooks folder.
+const HOOK_FILE_TYPES = ['.js', '.sh'];
+
+/*
+ * Hooks run before (pre<Phase>) and after (post<Phase>) the build phases (setup, prepare, eject, nativeBuild),
+ * ex: postPrepare, postEject, preNativeBuild. postBuild runs once the build succeeds.
+ *
+ * Hooks are taken from
+ *  1. hooks of the project config file (or the hooks option of the api). A hook there is a shell command,
+ *     path of a js file, a function or an array of them.
+ *        "hooks": { "postEject": "cp ../google-services.json android/app/" }
+ *  2. wm-hooks/<hook name>.js or wm-hooks/<hook name>.sh in the project, unless projectHooks is false
+ *     (ex: the jobs of the build server).
+ *
+ * A js hook exports a function, that is called with the config ({hook, src, platform, buildType, metaData, output}).
+ * A shell hook gets the same as WM_RN_* environment variables. Hooks run in the project folder.
+ * When a hook fails, the build stops with a HookError.
+ */
+
+function getHookName(prefix, phaseName) {
+    return prefix + phaseName.charAt(0).toUpperCase() + phaseName.substring(1);
+}
+
+function getProjectDir(args) {
+    return args.dest || args.src;
+}
+
+function getHookConfig(hookName, args, result) {
+    return {
+        hook: hookName,
+        src: getProjectDir(args),
+        platform: args.platform,
+        buildType: args.buildType,
+        metaData: config.metaData,
+        output: result && result.output
+    };
+}
+
+function getHookEnv(hookConfig) {
+    return {
+        WM_RN_HOOK: hookConfig.hook,
+        WM_RN_SRC: hookConfig.src || '',
+        WM_RN_PLATFORM: hookConfig.platform || '',
+        WM_RN_BUILD_TYPE: hookConfig.buildType || '',
+        WM_RN_APP_ID: (hookConfig.metaData && hookConfig.metaData.id) || '',
+        WM_RN_META_DATA: JSON.stringify(hookConfig.metaData || {}),
+        WM_RN_OUTPUT: [].concat(hookConfig.output || []).join(',')
+    };
+}
+
+function findHooks(hookName, args) {
+    const hooks = [].concat((args.hooks && args.hooks[hookName]) || []);
+    const projectDir = getProjectDir(args);
+    if (projectDir && args.projectHooks !== false) {
+        HOOK_FILE_TYPES.map(ext => path.join(projectDir, HOOKS_FOLDER, hookName + ext))
+            .filter(f => fs.existsSync(f))
+            .forEach(f => hooks.push(f));
+    }
+    return hooks;
+}
+
+async function runHook(hook, hookConfig) {
+    const cwd = hookConfig.src;
+    if (typeof hook === 'function') {
+        return await hook(hookConfig);
+    }
+    if (hook.endsWith('.js')) {
+        const file = path.resolve(cwd || '', hook);
+        delete require.cache[require.resolve(file)];
+        return await require(file)(hookConfig);
+    }
+    const env = getHookEnv(hookConfig);
+    if (hook.endsWith('.sh')) {
+        return await exec('sh', [path.resolve(cwd || '', hook)], {cwd, env});
+    }
+    return await exec(hook, null, {shell: true, cwd, env});
+}
+
+/**
+ * runs the hooks of hookName in order. Throws a HookError, when a hook fails.
+ */
+async function runHooks(hookName, args, result) {
+    const hooks = findHooks(hookName, args);
+    const hookConfig = getHookConfig(hookName, args, result);
+    for (const hook of hooks) {
+        const hookText = typeof hook === 'function' ? (hook.name || 'function') : hook;
+        logger.info({
+            label: loggerLabel,
+            message: `running ${hookName} hook: ${hookText}`
+        });
+        taskLogger.info(`Running ${hookName} hook: ${hookText}`);
+        try {
+            await runHook(hook, hookConfig);
+        } catch (e) {
+            // exec rejects with the exit code.
+            const reason = typeof e === 'number' ? `exited with code ${e}` : (e && e.message || e);
+            throw new HookError(`${hookName} hook (${hookText}) failed. Due to: ${reason}`, e);
+        }
+    }
+}
+
+module.exports = {
+    HOOKS_FOLDER: HOOKS_FOLDER,
+    getHookName: getHookName,
+    findHooks: findHooks,
+    runHooks: runHooks
+};
@@ -1,4 +1,6 @@
 const fs = require('fs-extra');
+const os = require('os');
+const crypto = require('crypto');
 const logger = require('./logger');
 const config = require('./config');
 const plist = require('plist');
@@ -11,12 +13,64 @@ const {
 const {
     validateForIos
  } = require('./requirements');
- const { readAndReplaceFileContent, iterateFiles } = require('./utils');
+ const { readAndReplaceFileContent, writeFileContent, iterateFiles } = require('./utils');
+ const { applyPatch, applyPatches, injectBlock } = require('./patches');
  const { newPostInstallBlock } =  require('../templates/ios-build-patch/podFIlePostInstall');
+const { getSdkProfileOfProject } = require('./sdk-profiles');
 const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { SigningError, PatchError } = require('./errors');
+const { registerSecret } = require('./redact');
 const {androidBuildSteps} = require('./custom-logger/steps');
 
  const loggerLabel = 'Generating ipa file';
+const CERTIFICATE_PASSWORD_ENV = 'WM_RN_CERTIFICATE_PASSWORD';
+const ONE_TIME_PASSWORD_ENV = 'WM_RN_ONE_TIME_PASSWORD';
+
+function quote(arg) {
+    return `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * copies the p12 certificate into a temporary file, encrypted with a random one-time password. security import
+ * takes the password only as an argument. So, it gets the one-time password, instead of the certificate password.
+ * Passwords are given to openssl through environment variables and the key is passed between the openssl
+ * commands through pipes, without writing it to a file. Resolves to {file, password, remove}.
+ */
+async function createOneTimeCertificate(certificate, certificatePassword) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wm-rn-certificate-'));
+    const file = path.join(dir, 'certificate.p12');
+    const password = crypto.randomBytes(24).toString('hex');
+    registerSecret(password);
+    // key and certificates are read separately, as openssl reads the input of -export twice.
+    const read = (legacy, part) => `<(openssl pkcs12 ${legacy ? '-legacy ' : ''}-in ${quote(certificate)} -passin env:${CERTIFICATE_PASSWORD_ENV} ${part})`;
+    // 3DES and sha1 mac are used, as security import does not read the p12 files with the newer algorithms of openssl 3.
+    const command = (legacy) => `openssl pkcs12 -export -inkey ${read(legacy, '-nodes -nocerts')} -in ${read(legacy, '-nokeys')} `
+        + `-passout env:${ONE_TIME_PASSWORD_ENV} -keypbe PBE-SHA1-3DES -certpbe PBE-SHA1-3DES -macalg sha1 -out ${quote(file)}`;
+    const options = {
+        shell: '/bin/bash',
+        log: false,
+        env: {
+            [CERTIFICATE_PASSWORD_ENV]: certificatePassword,
+            [ONE_TIME_PASSWORD_ENV]: password
+        }
+    };
+    try {
+        await exec(command(false), null, options);
+    } catch (e) {
+        // openssl 3 reads the certificates encrypted with the older algorithms (ex: RC2) only with -legacy.
+        try {
+            await exec(command(true), null, options);
+        } catch (err) {
+            fs.removeSync(dir);
+            throw new SigningError('p12 certificate could not be read. Check the certificate and its password.', err);
+        }
+    }
+    return {
+        file: file,
+        password: password,
+        remove: () => fs.removeSync(dir)
+    };
+}
 
 async function importCertToKeyChain(keychainName, certificate, certificatePassword) {
     await exec('security', ['create-keychain', '-p', keychainName, keychainName], {log: false});
@@ -25,22 +79,31 @@ async function importCertToKeyChain(keychainName, certificate, certificatePasswo
     let keychains = await exec('security', ['list-keychains', '-d', 'user'], {log: false});
     keychains = keychains.map(k => k.replace(/[\"\s]+/g, '')).filter(k => k !== '');
     await exec('security', ['list-keychains', '-d', 'user', '-s', keychainName, ...keychains], {log: false});
-    await exec('security',
-        ['import',
-        certificate,
-        '-k', keychainName,
-        '-P', certificatePassword,
-        '-T', '/usr/bin/codesign',
-        '-T', '/usr/bin/productsign',
-        '-T', '/usr/bin/productbuild',
-        '-T', '/Applications/Xcode.app'], {log: false});
+    // security cli accepts the password only as an argument. So, it gets the one-time password of a copy of the certificate.
+    const oneTimeCertificate = await createOneTimeCertificate(certificate, certificatePassword);
+    try {
+        await exec('security',
+            ['import',
+            oneTimeCertificate.file,
+            '-k', keychainName,
+            '-P', oneTimeCertificate.password,
+            '-T', '/usr/bin/codesign',
+            '-T', '/usr/bin/productsign',
+            '-T', '/usr/bin/productbuild',
+            '-T', '/Applications/Xcode.app'], {log: false});
+    } finally {
+        oneTimeCertificate.remove();
+    }
     await exec('security', ['set-key-partition-list', '-S', 'apple-tool:,apple:,codesign', '-s', '-k', keychainName, keychainName], {log: false});
     logger.info({
         label: loggerLabel,
         message: `Cerificate at (${certificate}) imported in (${keychainName})`
     });
     let signingDetails = await exec('security', ['find-identity', '-v', '-p', 'codesigning'], {log: false});
-    console.log(signingDetails);
+    logger.info({
+        label: loggerLabel,
+        message: `signing identities: ${signingDetails.join('\n')}`
+    });
     return async () => {
         keychains = keychains.map(k => k.replace(/[\"\s]+/g, ''));
         await exec('security', ['list-keychains', '-d', 'user', '-s', ...keychains], {log: false});
@@ -85,7 +148,7 @@ function updateJSEnginePreference() {
     if (fs.existsSync(podJSON)) {
         let data = require(podJSON, 'utf8');
         data['expo.jsEngine'] = jsEngine;
-        fs.writeFileSync(podJSON, JSON.stringify(data, null, 4));
+        writeFileContent(podJSON, JSON.stringify(data, null, 4), 'js engine of app.json');
         logger.info({
             label: loggerLabel,
             message: `js engine is set as ${jsEngine}`
@@ -163,7 +226,8 @@ async function invokeiosBuild(args) {
         if (errors.length > 0) {
             return {
                 success: false,
-                errors: errors
+                errors: errors,
+                error: new SigningError('invalid signing configuration: ' + errors.join(', '), errors)
             }
         }
         updateJSEnginePreference();
@@ -229,8 +293,12 @@ async function invokeiosBuild(args) {
                 message: 'Attempting fallback method using openssl...'
             });
             try {
-                let opensslOutput = await exec(`openssl pkcs12 -in ${certificate} -passin pass:${certificatePassword} -nodes | openssl x509 -noout -subject -nameopt multiline | grep commonName | sed -n 's/ *commonName *= //p'`, null, {
-                    shell: true
+                // password is passed through environment, so that it is not part of the command line.
+                let opensslOutput = await exec(`openssl pkcs12 -in "${certificate}" -passin env:WM_RN_CERTIFICATE_PASSWORD -nodes | openssl x509 -noout -subject -nameopt multiline | grep commonName | sed -n 's/ *commonName *= //p'`, null, {
+                    shell: true,
+                    env: {
+                        WM_RN_CERTIFICATE_PASSWORD: certificatePassword
+                    }
                 });
                 // Filter out any error/usage lines and get the actual certificate name
                 codeSignIdentity = opensslOutput.find(line => line && !line.includes('usage:') && !line.includes('pkcs12'));
@@ -250,18 +318,24 @@ async function invokeiosBuild(args) {
         try {
             // XCode14 issue https://github.com/expo/expo/issues/19759
             // This is not required when expo 47 is used.
-            await readAndReplaceFileContent(`${config.src}ios/Podfile`, (content) => {
-                return content.replace('__apply_Xcode_12_5_M1_post_install_workaround(installer)', 
-                '__apply_Xcode_12_5_M1_post_install_workaround(installer)' + '\n' +
-                '    # Add these lines for Xcode 14 builds' + '\n' +
-                '    installer.pods_project.targets.each do |target| ' +   '\n' +
-                '       if target.respond_to?(:product_type) and target.product_type == "com.apple.product-type.bundle"' + '\n' +
-                '           target.build_configurations.each do |config|'+ '\n' +
-                '               config.build_settings[\'CODE_SIGNING_ALLOWED\'] = \'NO\'' + '\n' +
-                '           end' + '\n' +
-                '       end' + '\n' +
-                '   end')
-            });
+            const podfilePath = `${config.src}ios/Podfile`;
+            if (fs.readFileSync(podfilePath, 'utf8').includes('__apply_Xcode_12_5_M1_post_install_workaround(installer)')) {
+                await injectBlock(podfilePath, {
+                    name: 'xcode14-resource-bundles',
+                    description: 'code signing of the resource bundles is turned off',
+                    after: '__apply_Xcode_12_5_M1_post_install_workaround(installer)',
+                    comment: '#',
+                    content: '    # Add these lines for Xcode 14 builds' + '\n' +
+                        '    installer.pods_project.targets.each do |target| ' +   '\n' +
+                        '       if target.respond_to?(:product_type) and target.product_type == "com.apple.product-type.bundle"' + '\n' +
+                        '           target.build_configurations.each do |config|'+ '\n' +
+                        '               config.build_settings[\'CODE_SIGNING_ALLOWED\'] = \'NO\'' + '\n' +
+                        '           end' + '\n' +
+                        '       end' + '\n' +
+                        '   end',
+                    required: false
+                });
+            }
 
             const appJsonPath = path.join(config.src, 'app.json');
             const appJson = JSON.parse(fs.readFileSync(appJsonPath, 'utf-8'));
@@ -274,7 +348,7 @@ async function invokeiosBuild(args) {
                         const postInstallRegex = /^(\s*)post_install\s+do\s+\|installer\|[\s\S]*?^\1end$/m;
                         const modifiedPodContent = podfileContent.replace(postInstallRegex, newPostInstallBlock);
                         return modifiedPodContent;
-                    });
+                    }, 'post_install of the static frameworks');
                 }
             }
 
@@ -330,7 +404,7 @@ async function createExportPList(projectPath, {
     }
     const exportOptionsPlist = plist.build(exportOptions);
     const exportOptionsPath = path.join(projectPath, 'exportOptions.plist');
-    fs.writeFileSync(exportOptionsPath, exportOptionsPlist, 'utf-8');
+    writeFileContent(exportOptionsPath, exportOptionsPlist, 'export options of the archive');
     return 'success'
 }
 
@@ -339,7 +413,7 @@ const removePushNotifications = (projectDir, projectName) => {
     const entitlements = dir + fs.readdirSync(dir).find(f => f.endsWith('entitlements'));
     const o = plist.parse(fs.readFileSync(entitlements, 'utf8'));
     delete o['aps-environment'];
-    fs.writeFileSync(entitlements, plist.build(o), 'utf8');
+    writeFileContent(entitlements, plist.build(o), 'push notifications are removed');
     logger.info({
         label: loggerLabel,
         message: `removed aps-environment from entitlements`
@@ -382,43 +456,48 @@ async function xcodebuild(args, CODE_SIGN_IDENTITY_VAL, PROVISIONING_UUID, DEVEL
         if (args.buildType === 'development' || args.buildType === 'debug') {
             _buildType = 'Debug';
             
-            // Get Expo SDK version from package.json
-            const packageJson = JSON.parse(fs.readFileSync(`${config.src}package.json`, 'utf8'));
-            const expoVersion = packageJson.dependencies?.expo ? parseInt(packageJson.dependencies.expo.replace(/[^0-9]/g, '').substring(0, 2)) : 0;
+            const sdkProfile = getSdkProfileOfProject(config.src);
             
-            if (expoVersion >= 54) {
+            if (sdkProfile.native.ios.debugBundling === 'swift') {
                 // Expo 54+: Modify bundling script to force bundling with --dev false
                 logger.info({
                     label: loggerLabel,
                     message: 'Expo 54+: Configuring production mode bundle for Debug build...'
                 });
                 
-                await readAndReplaceFileContent(`${config.src}ios/${projectName}.xcodeproj/project.pbxproj`, (content) => {
+                await applyPatches(`${config.src}ios/${projectName}.xcodeproj/project.pbxproj`, [{
                     // Replace SKIP_BUNDLING with FORCE_BUNDLING
-                    content = content.replace('SKIP_BUNDLING=1', 'FORCE_BUNDLING=1');
-                    
+                    name: 'force-bundling',
+                    description: 'js bundle in the debug build',
+                    find: 'SKIP_BUNDLING=1',
+                    replace: 'FORCE_BUNDLING=1',
+                    applied: 'FORCE_BUNDLING=1',
+                    required: true
+                }, {
                     // Add --dev false flag to the bundling command by setting EXTRA_PACKAGER_ARGS
                     // This is the standard way React Native handles additional bundler arguments
-                    content = content.replace(
-                        'if [[ \\"$CONFIGURATION\\" = *Debug* ]]; then\\n  export FORCE_BUNDLING=1\\nfi',
-                        'if [[ \\"$CONFIGURATION\\" = *Debug* ]]; then\\n  export FORCE_BUNDLING=1\\n  export EXTRA_PACKAGER_ARGS=\\"--dev false\\"\\nfi'
-                    );
-                    
-                    return content;
-                });
+                    name: 'production-bundle',
+                    description: 'js bundle in the debug build is built with --dev false',
+                    find: 'if [[ \\"$CONFIGURATION\\" = *Debug* ]]; then\\n  export FORCE_BUNDLING=1\\nfi',
+                    replace: 'if [[ \\"$CONFIGURATION\\" = *Debug* ]]; then\\n  export FORCE_BUNDLING=1\\n  export EXTRA_PACKAGER_ARGS=\\"--dev false\\"\\nfi',
+                    applied: 'export EXTRA_PACKAGER_ARGS=\\"--dev false\\"',
+                    required: false
+                }]);
                 
                 // Modify AppDelegate.swift to load from embedded bundle
                 const appDelegateSwiftPath = `${config.src}ios/${projectName}/AppDelegate.swift`;
                 if (fs.existsSync(appDelegateSwiftPath)) {
-                    await readAndReplaceFileContent(appDelegateSwiftPath, (content) => {
-                        return content.replace(
-                            `#if DEBUG
+                    await applyPatch(appDelegateSwiftPath, {
+                        name: 'embedded-bundle-url',
+                        description: 'app loads the embedded js bundle',
+                        find: `#if DEBUG
     return RCTBundleURLProvider.sharedSettings().jsBundleURL(forBundleRoot: ".expo/.virtual-metro-entry")
 #else
     return Bundle.main.url(forResource: "main", withExtension: "jsbundle")
 #endif`,
-                            `return Bundle.main.url(forResource: "main", withExtension: "jsbundle")`
-                        );
+                        replace: `return Bundle.main.url(forResource: "main", withExtension: "jsbundle")`,
+                        applied: `return Bundle.main.url(forResource: "main", withExtension: "jsbundle")`,
+                        required: true
                     });
                 }
                 
@@ -428,17 +507,25 @@ async function xcodebuild(args, CODE_SIGN_IDENTITY_VAL, PROVISIONING_UUID, DEVEL
                 });
             } else {
                 // Expo 52 and below: Use legacy Objective-C AppDelegate.mm modification
-                await readAndReplaceFileContent(`${config.src}ios/${projectName}.xcodeproj/project.pbxproj`, (content) => {
-                    return content.replace('SKIP_BUNDLING=1', 'FORCE_BUNDLING=1');
+                await applyPatch(`${config.src}ios/${projectName}.xcodeproj/project.pbxproj`, {
+                    name: 'force-bundling',
+                    description: 'js bundle in the debug build',
+                    find: 'SKIP_BUNDLING=1',
+                    replace: 'FORCE_BUNDLING=1',
+                    applied: 'FORCE_BUNDLING=1',
+                    required: true
                 });
                 if (fs.existsSync(`${config.src}ios/${projectName}/AppDelegate.mm`)) {
-                    await readAndReplaceFileContent(`${config.src}ios/${projectName}/AppDelegate.mm`, (content) => {
-                        return content.replace(
+                    await applyPatch(`${config.src}ios/${projectName}/AppDelegate.mm`, {
+                        name: 'embedded-bundle-url',
+                        description: 'app loads the embedded js bundle',
+                        find: [
                             'return [[RCTBundleURLProvider sharedSettings] jsBundleURLForBundleRoot:@"index"];',
-                            'return [[NSBundle mainBundle] URLForResource:@"main" withExtension:@"jsbundle"];')
-                            .replace(
-                                'return [[RCTBundleURLProvider sharedSettings] jsBundleURLForBundleRoot:@".expo/.virtual-metro-entry"];',
-                                'return [[NSBundle mainBundle] URLForResource:@"main" withExtension:@"jsbundle"];');
+                            'return [[RCTBundleURLProvider sharedSettings] jsBundleURLForBundleRoot:@".expo/.virtual-metro-entry"];'
+                        ],
+                        replace: 'return [[NSBundle mainBundle] URLForResource:@"main" withExtension:@"jsbundle"];',
+                        applied: 'return [[NSBundle mainBundle] URLForResource:@"main" withExtension:@"jsbundle"];',
+                        required: true
                     });
                 }
             }
@@ -487,7 +574,7 @@ async function xcodebuild(args, CODE_SIGN_IDENTITY_VAL, PROVISIONING_UUID, DEVEL
                 cwd: config.src + 'ios',
                 env: env
             });
-            const output =  args.dest + 'output/ios/';
+            const output =  config.outputDirectory + 'ios/';
             const outputFilePath = `${output}${fileName}(${config.metaData.version}).${args.buildType}.ipa`;
             fs.mkdirSync(output, {recursive: true});
             fs.copyFileSync(findFile(`${args.dest}ios/build/`, /\.ipa?/), outputFilePath);
@@ -506,7 +593,8 @@ async function xcodebuild(args, CODE_SIGN_IDENTITY_VAL, PROVISIONING_UUID, DEVEL
         console.error(e);
         return {
             errors: e,
-            success: false
+            success: false,
+            error: e instanceof PatchError ? e : undefined
         }
     }
 }
@@ -0,0 +1,319 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const chalk = require('chalk');
+const logger = require('./logger');
+const config = require('./config');
+const { redact } = require('./redact');
+
+const loggerLabel = 'journal';
+const JOURNAL_DIR = 'output/journal';
+const ENTRIES_FILE = 'entries.ndjson';
+// contents of the files before and after the changes, by their sha256.
+const CONTENTS_DIR = 'contents';
+const CONTEXT_LINES = 3;
+// keystores and certificates are not copied to the journal.
+const SECRET_FILE_EXTENSIONS = ['.jks', '.keystore', '.p12', '.pfx', '.bks', '.mobileprovision'];
+
+/*
+ * Journal of the files changed by the cli in the dest folder. Every change is a line in
+ * <dest>/output/journal/entries.ndjson: {file (relative to dest), reason, before, after, timestamp}, where
+ * before and after are sha256 of the content (null, when the file does not exist). The contents are kept
+ * in <dest>/output/journal/contents, so that `wm-reactnative diff` and `wm-reactnative revert` can use them.
+ *
+ * Files created by the commands (npm install, expo prebuild, gradle...) are not in the journal. Keystores,
+ * certificates and the other binary files are not recorded. Secrets in the text files (ex: passwords in
+ * gradle.properties) are masked, before the contents are kept (beforeRedacted and afterRedacted in the entry).
+ */
+
+function getJournalDir(dest) {
+    return path.join(dest, JOURNAL_DIR);
+}
+
+function hash(content) {
+    return content === null ? null : crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function saveContent(journalDir, content) {
+    const sha = hash(content);
+    if (sha) {
+        const file = path.join(journalDir, CONTENTS_DIR, sha);
+        if (!fs.existsSync(file)) {
+            fs.mkdirsSync(path.dirname(file));
+            fs.writeFileSync(file, content);
+        }
+    }
+    return sha;
+}
+
+function readContent(dest, sha) {
+    return sha ? fs.readFileSync(path.join(getJournalDir(dest), CONTENTS_DIR, sha)) : null;
+}
+
+function readFile(file) {
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+function isBinary(content) {
+    return !!content && content.includes(0);
+}
+
+// content with the secrets masked. Returns the content, when it does not have any secret.
+function redactContent(content) {
+    return content === null ? null : Buffer.from(redact(content.toString('utf8')));
+}
+
+// changes in the dest folder are recorded from here, till the end of the build.
+function startJournal(dest) {
+    config.journal = path.resolve(dest);
+}
+
+/**
+ * records the change of file from before to after (string, buffer or null, when the file does not exist).
+ * Changes outside the dest folder of the build and the changes without a journal are not recorded.
+ */
+function recordChange(file, reason, before, after) {
+    const dest = config.journal;
+    const relativePath = dest && path.relative(dest, path.resolve(file));
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return;
+    }
+    before = before === null ? null : Buffer.from(before);
+    after = after === null ? null : Buffer.from(after);
+    if (hash(before) === hash(after)) {
+        return;
+    }
+    if (SECRET_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()) || isBinary(before) || isBinary(after)) {
+        logger.debug({
+            label: loggerLabel,
+            message: `${relativePath} is not recorded, as it is a binary file.`
+        });
+        return;
+    }
+    const journalDir = getJournalDir(dest);
+    const redactedBefore = redactContent(before);
+    const redactedAfter = redactContent(after);
+    const entry = {
+        file: relativePath.split(path.sep).join('/'),
+        reason: reason || 'updated by the cli',
+        before: saveContent(journalDir, redactedBefore),
+        after: saveContent(journalDir, redactedAfter),
+        timestamp: Date.now()
+    };
+    if (hash(redactedBefore) !== hash(before)) {
+        entry.beforeRedacted = true;
+    }
+    if (hash(redactedAfter) !== hash(after)) {
+        entry.afterRedacted = true;
+    }
+    fs.appendFileSync(path.join(journalDir, ENTRIES_FILE), JSON.stringify(entry) + '\n');
+    logger.debug({
+        label: loggerLabel,
+        message: `${entry.file}: ${entry.reason}`
+    });
+}
+
+function readJournal(dest) {
+    const file = path.join(getJournalDir(dest), ENTRIES_FILE);
+    if (!fs.existsSync(file)) {
+        return [];
+    }
+    return fs.readFileSync(file, 'utf8').split('\n')
+        .filter(line => line)
+        .map(line => JSON.parse(line));
+}
+
+// changes grouped by file, with the original and the last content.
+function getChangedFiles(dest) {
+    const files = new Map();
+    readJournal(dest).forEach(entry => {
+        const changes = files.get(entry.file) || {
+            file: entry.file,
+            original: entry.before,
+            originalRedacted: !!entry.beforeRedacted,
+            current: null,
+            reasons: []
+        };
+        changes.current = entry.after;
+        if (!changes.reasons.includes(entry.reason)) {
+            changes.reasons.push(entry.reason);
+        }
+        files.set(entry.file, changes);
+    });
+    return [...files.values()];
+}
+
+function checkDest(dest) {
+    if (!fs.existsSync(path.join(getJournalDir(dest), ENTRIES_FILE))) {
+        throw new Error(`${dest} does not have a journal. Only the builds of this version of the cli have it.`);
+    }
+}
+
+function splitLines(content) {
+    if (!content || !content.length) {
+        return [];
+    }
+    const lines = content.toString('utf8').split('\n');
+    return lines[lines.length - 1] === '' ? lines.slice(0, -1) : lines;
+}
+
+// operations (' ', '-', '+') converting a to b, from the longest common subsequence of the lines.
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+        end++;
+    }
+    const x = a.slice(start, a.length - end);
+    const y = b.slice(start, b.length - end);
+    const lcs = Array.from({length: x.length + 1}, () => new Uint32Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--) {
+        for (let j = y.length - 1; j >= 0; j--) {
+            lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = a.slice(0, start).map(line => [' ', line]);
+    let i = 0, j = 0;
+    while (i < x.length || j < y.length) {
+        if (i < x.length && j < y.length && x[i] === y[j]) {
+            ops.push([' ', x[i++]]);
+            j++;
+        } else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push(['-', x[i++]]);
+        } else {
+            ops.push(['+', y[j++]]);
+        }
+    }
+    return ops.concat(a.slice(a.length - end).map(line => [' ', line]));
+}
+
+// unified diff of the contents, with CONTEXT_LINES lines around the changes.
+function createUnifiedDiff(file, before, after) {
+    const header = [`--- ${before === null ? '/dev/null' : 'a/' + file}`, `+++ ${after === null ? '/dev/null' : 'b/' + file}`];
+    if ((before && before.includes(0)) || (after && after.includes(0))) {
+        return [`Binary file ${file} is changed.`];
+    }
+    const ops = diffLines(splitLines(before), splitLines(after));
+    const changed = ops.map((op, i) => op[0] !== ' ' ? i : -1).filter(i => i >= 0);
+    const hunks = [];
+    changed.forEach(i => {
+        const last = hunks[hunks.length - 1];
+        if (last && i - last.end <= 2 * CONTEXT_LINES) {
+            last.end = i;
+        } else {
+            hunks.push({start: i, end: i});
+        }
+    });
+    const lines = [...header];
+    hunks.forEach(hunk => {
+        const from = Math.max(0, hunk.start - CONTEXT_LINES);
+        const to = Math.min(ops.length, hunk.end + CONTEXT_LINES + 1);
+        const oldStart = ops.slice(0, from).filter(op => op[0] !== '+').length;
+        const newStart = ops.slice(0, from).filter(op => op[0] !== '-').length;
+        const hunkOps = ops.slice(from, to);
+        const oldCount = hunkOps.filter(op => op[0] !== '+').length;
+        const newCount = hunkOps.filter(op => op[0] !== '-').length;
+        lines.push(`@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@`);
+        hunkOps.forEach(op => lines.push(op[0] + op[1]));
+    });
+    return lines;
+}
+
+function colorDiffLine(line) {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+        return chalk.bold(line);
+    }
+    if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+    }
+    if (line.startsWith('+')) {
+        return chalk.green(line);
+    }
+    return line.startsWith('-') ? chalk.red(line) : line;
+}
+
+/**
+ * prints the unified diff of the files changed by the cli in args.dest, from their original content to
+ * the content after the last change.
+ */
+function printDiff(args) {
+    const dest = path.resolve(args.dest);
+    checkDest(dest);
+    const files = getChangedFiles(dest).filter(f => !args.file || f.file === args.file);
+    files.forEach(f => {
+        console.log(chalk.gray(`# ${f.file}: ${f.reasons.join(', ')}`));
+        createUnifiedDiff(f.file, readContent(dest, f.original), readContent(dest, f.current))
+            .map(line => redact(line))
+            .forEach(line => console.log(args.color === false ? line : colorDiffLine(line)));
+    });
+    if (!files.length) {
+        console.log('No files are changed by the cli.');
+    }
+    return files;
+}
+
+/**
+ * restores the original content of the files changed by the cli in args.dest. Files created by the cli
+ * are removed. A file changed after the build is not restored, unless args.force is true.
+ */
+function revert(args) {
+    const dest = path.resolve(args.dest);
+    checkDest(dest);
+    const files = getChangedFiles(dest);
+    const reverted = [];
+    const skipped = [];
+    files.forEach(f => {
+        const file = path.join(dest, f.file);
+        // secrets are masked in the journal. So, the file is compared after masking them.
+        if (!args.force && hash(redactContent(readFile(file))) !== f.current) {
+            skipped.push(f.file);
+            console.log(chalk.yellow(`skipped ${f.file}, as it is changed after the build. Use --force to revert it.`));
+            return;
+        }
+        if (f.originalRedacted) {
+            skipped.push(f.file);
+            console.log(chalk.yellow(`skipped ${f.file}, as its original content has secrets, that are not in the journal. Restore it by hand.`));
+            return;
+        }
+        // file can be hard linked to the dependency cache. So, write to a new file instead of changing the shared one.
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+        if (f.original !== null) {
+            fs.writeFileSync(file, readContent(dest, f.original));
+        }
+        reverted.push(f.file);
+        console.log(`${chalk.green('reverted')} ${f.file}`);
+    });
+    // journal of the files not reverted is kept, so that they can be reverted with --force.
+    const entries = readJournal(dest).filter(e => skipped.includes(e.file));
+    const entriesFile = path.join(getJournalDir(dest), ENTRIES_FILE);
+    if (entries.length) {
+        fs.writeFileSync(entriesFile, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    } else {
+        fs.removeSync(getJournalDir(dest));
+    }
+    logger.info({
+        label: loggerLabel,
+        message: `reverted ${reverted.length} files in ${dest}. skipped: ${skipped.join(', ') || 'none'}`
+    });
+    console.log(`Reverted ${reverted.length} files.`);
+    return {
+        reverted: reverted,
+        skipped: skipped
+    };
+}
+
+module.exports = {
+    JOURNAL_DIR: JOURNAL_DIR,
+    startJournal: startJournal,
+    recordChange: recordChange,
+    readJournal: readJournal,
+    getChangedFiles: getChangedFiles,
+    printDiff: printDiff,
+    revert: revert,
+    diffLines: diffLines
+};
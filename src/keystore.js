@@ -0,0 +1,238 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const logger = require('./logger');
+const { exec } = require('./exec');
+const { parseFingerprints } = require('./signing');
+const { resolveSecretOptions } = require('./secrets');
+const { SigningError } = require('./errors');
+
+const loggerLabel = 'keystore';
+const STORE_PASSWORD_ENV = 'WM_RN_STORE_PASSWORD';
+const KEY_PASSWORD_ENV = 'WM_RN_KEY_PASSWORD';
+// keytool prints the messages and dates in the language of the system. Its output is parsed in english.
+const KEYTOOL_LOCALE = '-J-Duser.language=en';
+const ENTRY_TYPES = ['PrivateKeyEntry', 'trustedCertEntry', 'SecretKeyEntry'];
+
+/*
+ * Keystores used to sign the android builds, through keytool of the JDK. Passwords are given to keytool through
+ * environment variables, so that they are not in the command line of the process.
+ */
+
+function keytool(args, storePassword, keyPassword) {
+    return exec('keytool', [KEYTOOL_LOCALE, ...args], {
+        log: false,
+        env: {
+            [STORE_PASSWORD_ENV]: storePassword || '',
+            [KEY_PASSWORD_ENV]: keyPassword || ''
+        }
+    });
+}
+
+function isKeytoolMissing(e) {
+    return !!e && e.code === 'ENOENT';
+}
+
+function getKeytoolMissingMessage() {
+    return 'keytool is not found. It comes with the JDK. Add the bin folder of the JDK to PATH.';
+}
+
+// java prints the dates as 'Mon Oct 19 10:00:00 IST 2026'. Zones, that javascript does not know, are ignored.
+function parseDate(text) {
+    const date = new Date(text);
+    if (!isNaN(date)) {
+        return date;
+    }
+    const withoutZone = new Date(text.replace(/\s[A-Z]{2,5}(\s\d{4})$/, '$1'));
+    return isNaN(withoutZone) ? null : withoutZone;
+}
+
+function findValue(lines, name) {
+    const line = lines.find(l => l.trim().startsWith(name + ':'));
+    return line ? line.trim().substring(name.length + 1).trim() : undefined;
+}
+
+// details of the entry in the output of 'keytool -list -v -alias'. Only the first certificate of the chain is read.
+function parseEntry(lines) {
+    const chainEnd = lines.findIndex(l => l.trim().startsWith('Certificate[2]:'));
+    const certificate = chainEnd > 0 ? lines.slice(0, chainEnd) : lines;
+    const validity = certificate.map(l => l.match(/Valid from:\s*(.*?)\s+until:\s*(.*)$/)).find(m => m);
+    const validFrom = validity && parseDate(validity[1]);
+    const validUntil = validity && parseDate(validity[2]);
+    return {
+        alias: findValue(lines, 'Alias name'),
+        type: findValue(lines, 'Entry type'),
+        createdAt: findValue(lines, 'Creation date'),
+        owner: findValue(certificate, 'Owner'),
+        validFrom: validFrom ? validFrom.toISOString() : validity && validity[1],
+        validUntil: validUntil ? validUntil.toISOString() : validity && validity[2],
+        expired: !!validUntil && validUntil.getTime() < Date.now(),
+        fingerprints: parseFingerprints(certificate)
+    };
+}
+
+// aliases in the output of 'keytool -list' (ex: upload, Oct 19, 2026, PrivateKeyEntry,).
+function parseAliases(lines) {
+    const pattern = new RegExp(`^(.+?),\\s.*,\\s*(${ENTRY_TYPES.join('|')}),?\\s*$`);
+    return lines.map(l => l.match(pattern))
+        .filter(m => m)
+        .map(m => m[1]);
+}
+
+async function readEntry(keyStore, storePassword, keyAlias) {
+    const output = await keytool(['-list', '-v', '-keystore', keyStore, '-alias', keyAlias,
+        '-storepass:env', STORE_PASSWORD_ENV], storePassword);
+    return parseEntry(output);
+}
+
+/**
+ * resolves to the type and the entries ({alias, type, createdAt, owner, validFrom, validUntil, expired, fingerprints})
+ * of the keystore. When keyAlias is given, only that entry is read.
+ */
+async function readKeyStore(keyStore, storePassword, keyAlias) {
+    const output = await keytool(['-list', '-keystore', keyStore, '-storepass:env', STORE_PASSWORD_ENV], storePassword);
+    const aliases = keyAlias ? [keyAlias] : parseAliases(output);
+    const entries = [];
+    for (const alias of aliases) {
+        entries.push(await readEntry(keyStore, storePassword, alias));
+    }
+    return {
+        keyStore: path.resolve(keyStore),
+        type: findValue(output, 'Keystore type'),
+        entries: entries
+    };
+}
+
+/**
+ * checks that the store password opens the keystore and the key password unlocks the private key of the alias,
+ * as the gradle build does. Resolves to the list of problems (empty, when the keystore can be used).
+ */
+async function verifyKeyStore(keyStore, storePassword, keyAlias, keyPassword) {
+    if (!(keyStore && fs.existsSync(keyStore))) {
+        return [`keystore is required (valid file): ${keyStore}`];
+    }
+    try {
+        await keytool(['-list', '-keystore', keyStore, '-storepass:env', STORE_PASSWORD_ENV], storePassword);
+    } catch (e) {
+        return [isKeytoolMissing(e) ? getKeytoolMissingMessage()
+            : `store password does not open ${keyStore} (or it is not a keystore).`];
+    }
+    let entry;
+    try {
+        entry = await readEntry(keyStore, storePassword, keyAlias);
+    } catch (e) {
+        return [`alias ${keyAlias} is not found in ${keyStore}.`];
+    }
+    if (entry.type !== 'PrivateKeyEntry') {
+        return [`alias ${keyAlias} in ${keyStore} does not have a private key (entry type: ${entry.type}).`];
+    }
+    const problems = [];
+    if (entry.expired) {
+        problems.push(`certificate of the alias ${keyAlias} has expired on ${entry.validUntil}.`);
+    }
+    try {
+        // a certificate request is signed with the private key. So, it needs the key password.
+        await keytool(['-certreq', '-keystore', keyStore, '-alias', keyAlias,
+            '-storepass:env', STORE_PASSWORD_ENV, '-keypass:env', KEY_PASSWORD_ENV], storePassword, keyPassword);
+    } catch (e) {
+        problems.push(`key password does not unlock the alias ${keyAlias} in ${keyStore}.`);
+    }
+    return problems;
+}
+
+function printEntry(entry) {
+    const rows = [
+        ['Alias', entry.alias],
+        ['Entry Type', entry.type],
+        ['Owner', entry.owner],
+        ['Created At', entry.createdAt],
+        ['Valid From', entry.validFrom],
+        ['Valid Until', entry.validUntil + (entry.expired ? chalk.red(' (expired)') : '')],
+        ['SHA-1', entry.fingerprints.sha1],
+        ['SHA-256', entry.fingerprints.sha256]
+    ].filter(r => r[1] !== undefined && r[1] !== null);
+    rows.forEach(r => console.log(`${chalk.bold(r[0].padEnd(14))}${r[1]}`));
+}
+
+async function runKeytool(fn) {
+    try {
+        return await fn();
+    } catch (e) {
+        throw new Error(isKeytoolMissing(e) ? getKeytoolMissingMessage()
+            : 'keytool failed. Check the path and the store password of the keystore.');
+    }
+}
+
+/**
+ * creates a PKCS12 keystore with a new RSA key (args.aKeyAlias), that is valid for args.validity days, to sign
+ * the release builds. PKCS12 keystores use the store password for the keys too.
+ */
+async function createKeyStore(args) {
+    await resolveSecretOptions(args);
+    const keyStore = args.keyStore;
+    if (fs.existsSync(keyStore)) {
+        throw new Error(`${keyStore} already exists. A keystore is not overwritten, as the apps signed with its keys can not be updated without them.`);
+    }
+    if (!args.aStorePassword || args.aStorePassword.length < 6) {
+        throw new Error('store password should have at least 6 characters.');
+    }
+    if (args.aKeyPassword && args.aKeyPassword !== args.aStorePassword) {
+        throw new Error('key password should be same as the store password, as PKCS12 keystores use the store password for the keys.');
+    }
+    fs.mkdirsSync(path.dirname(path.resolve(keyStore)));
+    await runKeytool(() => keytool(['-genkeypair', '-keystore', keyStore, '-storetype', 'PKCS12',
+        '-alias', args.aKeyAlias, '-keyalg', 'RSA', '-keysize', '2048', '-validity', String(args.validity),
+        '-dname', args.dname || `CN=${args.aKeyAlias}`,
+        '-storepass:env', STORE_PASSWORD_ENV, '-keypass:env', KEY_PASSWORD_ENV], args.aStorePassword, args.aStorePassword));
+    logger.info({
+        label: loggerLabel,
+        message: `created keystore ${keyStore} with the alias ${args.aKeyAlias}`
+    });
+    const entry = await readEntry(keyStore, args.aStorePassword, args.aKeyAlias);
+    console.log(`${chalk.green('Created')} ${keyStore}`);
+    printEntry(entry);
+    console.log(chalk.yellow('Keep a backup of the keystore and its password. Updates of the app need the same key.'));
+    return entry;
+}
+
+// prints the aliases of the keystore with the validity and the fingerprints of their certificates.
+async function inspectKeyStore(args) {
+    await resolveSecretOptions(args);
+    if (!fs.existsSync(args.keyStore)) {
+        throw new Error(`${args.keyStore} does not exist.`);
+    }
+    const details = await runKeytool(() => readKeyStore(args.keyStore, args.aStorePassword, args.aKeyAlias));
+    if (args.json) {
+        console.log(JSON.stringify(details, null, 2));
+        return details;
+    }
+    console.log(`${chalk.bold('Keystore'.padEnd(14))}${details.keyStore}`);
+    console.log(`${chalk.bold('Type'.padEnd(14))}${details.type}`);
+    details.entries.forEach(entry => {
+        console.log('');
+        printEntry(entry);
+    });
+    return details;
+}
+
+/**
+ * checks that the passwords unlock the alias of the keystore. Rejects with a SigningError, when they do not.
+ */
+async function checkKeyStore(args) {
+    await resolveSecretOptions(args);
+    const problems = await verifyKeyStore(args.keyStore, args.aStorePassword, args.aKeyAlias, args.aKeyPassword);
+    if (problems.length) {
+        problems.forEach(p => console.log(chalk.red(`✖ ${p}`)));
+        throw new SigningError('invalid signing configuration: ' + problems.join(', '), problems);
+    }
+    console.log(chalk.green(`✔ store and key passwords unlock the alias ${args.aKeyAlias} in ${args.keyStore}.`));
+    return problems;
+}
+
+module.exports = {
+    readKeyStore: readKeyStore,
+    verifyKeyStore: verifyKeyStore,
+    createKeyStore: createKeyStore,
+    inspectKeyStore: inspectKeyStore,
+    checkKeyStore: checkKeyStore
+};
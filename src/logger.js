@@ -1,7 +1,8 @@
 const {
     createLogger,
     format,
-    transports
+    transports,
+    Transport
 } = require('winston');
 const {
     colorize,
@@ -11,6 +12,9 @@ const {
 } = format;
 
 const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { redactFormat } = require('./redact');
+const { eventStream } = require('./custom-logger/event-stream');
+const { contextual, isVerbose } = require('./build-context');
 
 const consoleFormat = printf(({
     level,
@@ -37,68 +41,140 @@ const jsonFormat = printf(({
         message
     });
 });
-var logger = createLogger({
-    level: 'debug',
-    silent: !global.verbose,
-    transports: [
-        new(transports.Console)({
+// log entries as events of --output json mode.
+const eventFormat = printf(({
+    level,
+    message,
+    label
+}) => {
+    return JSON.stringify(eventStream.createEvent('log', level, {
+        label,
+        message
+    }));
+});
+
+function createConsoleTransport(options) {
+    if (eventStream.isEnabled()) {
+        return new(transports.Stream)({
+            stream: eventStream.stream,
+            level: isVerbose() ? 'debug' : 'info',
+            format: combine(
+                redactFormat(),
+                eventFormat
+            )
+        });
+    }
+    return new(transports.Console)({
+        ...options,
+        timestamp: function () {
+            return Date.now();
+        },
+        format: combine(
+            redactFormat(),
+            colorize(),
+            timestamp(),
+            consoleFormat
+        )
+    });
+}
+
+function createFileTransports(path) {
+    return [
+        new(transports.File)({
+            filename: path + 'build.log',
             timestamp: function () {
                 return Date.now();
             },
             format: combine(
-                colorize(),
+                redactFormat(),
                 timestamp(),
                 consoleFormat
             )
         }),
+        new(transports.File)({
+            filename: path + '/build.json.log',
+            timestamp: function () {
+                return Date.now();
+            },
+            format: combine(
+                redactFormat(),
+                timestamp(),
+                jsonFormat
+            )
+        }),
+        new transports.File({
+            filename: path + '/error.log',
+            level: 'error',
+            format: combine(
+                redactFormat(),
+                timestamp(),
+                consoleFormat
+            ),
+        })
+    ];
+}
+
+// emits the log entries as 'log' events of the build (see api.js).
+class EventTransport extends Transport {
+    log(info, callback) {
+        eventStream.emit('log', info.level, {
+            label: info.label,
+            message: info.message
+        });
+        this.emit('logged', info);
+        callback();
+    }
+}
+
+var logger = createLogger({
+    level: 'debug',
+    silent: !global.verbose,
+    transports: [
+        createConsoleTransport()
     ]
 });
 
+// writes the log entries to stdout as json events, instead of the console.
+logger.enableEventStream = () => {
+    logger.silent = false;
+    logger.clear();
+    logger.add(createConsoleTransport());
+};
+
 logger.setLogDirectory = (path) => {
     logger.configure({
         level: 'debug',
         transports: [
-            new(transports.Console)({
-                silent: !global.verbose,
-                timestamp: function () {
-                    return Date.now();
-                },
-                format: combine(
-                    colorize(),
-                    timestamp(),
-                    consoleFormat
-                )
-            }),
-            new(transports.File)({
-                filename: path + 'build.log',
-                timestamp: function () {
-                    return Date.now();
-                },
-                format: combine(
-                    timestamp(),
-                    consoleFormat
-                )
+            createConsoleTransport({
+                silent: !global.verbose
             }),
-            new(transports.File)({
-                filename: path + '/build.json.log',
-                timestamp: function () {
-                    return Date.now();
-                },
-                format: combine(
-                    timestamp(),
-                    jsonFormat
-                )
-            }),
-            new transports.File({
-                filename: path + '/error.log',
-                level: 'error',
-                format: combine(
-                    timestamp(),
-                    consoleFormat
-                ),
-            })
+            ...createFileTransports(path)
         ]
     });
 };
 
-module.exports = logger;
\ No newline at end of file
+// logger of a build started with the api.
+function createBuildLogger() {
+    const createEventTransport = () => new EventTransport({
+        level: isVerbose() ? 'debug' : 'info'
+    });
+    const buildLogger = createLogger({
+        level: 'debug',
+        transports: [
+            createEventTransport()
+        ]
+    });
+    buildLogger.enableEventStream = () => {};
+    buildLogger.setLogDirectory = (path) => {
+        buildLogger.configure({
+            level: 'debug',
+            transports: [
+                createEventTransport(),
+                ...createFileTransports(path)
+            ]
+        });
+    };
+    return buildLogger;
+}
+
+module.exports = contextual('logger', createBuildLogger, logger);
\ No newline at end of file
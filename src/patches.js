@@ -0,0 +1,137 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { readAndReplaceFileContent } = require('./utils');
+const { PatchError } = require('./errors');
+
+const loggerLabel = 'patches';
+
+/*
+ * A patch changes a file of the project by replacing a pattern, that comes from the templates of expo and react native.
+ *   {name, description, find, replace, required}
+ *  - find is a string, a RegExp or an array of them. The patch applies to the first of them found in the file.
+ *  - replace is a string or a function, as in String.replace.
+ *  - applied is a string or a RegExp found in the file once the patch is applied. When the pattern is not found and
+ *    applied is found, the patch is already applied by an earlier build in the same folder.
+ *  - required patches fail the build with a PatchError, when the pattern is not found (ex: the template has changed).
+ *    Optional patches are skipped with a warning.
+ *
+ * Code added to a file (ex: App.js, proguard-rules.pro) is injected as a block between markers, so that the block is
+ * replaced, instead of being added again, when the build runs again in the same folder (see injectBlock).
+ *   {name, description, content, comment, after, required}
+ *
+ * Results are kept in config.patches and listed in the build report, with the status applied, present (already
+ * applied by an earlier build), skipped or failed.
+ */
+
+function isFound(content, find) {
+    return typeof find === 'string' ? content.includes(find) : content.search(find) >= 0;
+}
+
+function addResult(file, patch, status) {
+    const result = {
+        name: patch.name,
+        file: config.journal ? path.relative(config.journal, file).split(path.sep).join('/') : file,
+        required: !!patch.required,
+        status: status
+    };
+    config.patches = (config.patches || []).concat(result);
+    return result;
+}
+
+function skip(file, patch, reason) {
+    const message = `${patch.required ? 'required' : 'optional'} patch '${patch.name}' is not applied to ${file}, as ${reason}.`;
+    if (patch.required) {
+        addResult(file, patch, 'failed');
+        logger.error({
+            label: loggerLabel,
+            message: message
+        });
+        throw new PatchError(message + ' The templates of expo or react native might have changed.');
+    }
+    logger.warn({
+        label: loggerLabel,
+        message: message
+    });
+    taskLogger.warn(message);
+    return addResult(file, patch, 'skipped');
+}
+
+/**
+ * applies the patch to the file and resolves to its result ({name, file, required, status}), where status is
+ * applied, present or skipped. Rejects with a PatchError, when a required patch can not be applied.
+ */
+async function applyPatch(file, patch) {
+    if (!fs.existsSync(file)) {
+        return skip(file, patch, 'the file does not exist');
+    }
+    const content = fs.readFileSync(file, 'utf8');
+    const find = [].concat(patch.find).find(f => isFound(content, f));
+    if (find === undefined) {
+        if (patch.applied && isFound(content, patch.applied)) {
+            return addResult(file, patch, 'present');
+        }
+        return skip(file, patch, 'the pattern is not found');
+    }
+    await readAndReplaceFileContent(file, content => content.replace(find, patch.replace), patch.description || patch.name);
+    logger.debug({
+        label: loggerLabel,
+        message: `applied patch '${patch.name}' to ${file}`
+    });
+    return addResult(file, patch, 'applied');
+}
+
+// applies the patches to the file in the given order.
+async function applyPatches(file, patches) {
+    const results = [];
+    for (const patch of patches) {
+        results.push(await applyPatch(file, patch));
+    }
+    return results;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * adds block.content to the file between the markers of the block, after the text block.after (or at the end).
+ * When the markers are there already, the content between them is replaced. Resolves to the result of the block,
+ * as in applyPatch. block.comment is the line comment of the file (default: //).
+ */
+async function injectBlock(file, block) {
+    const comment = block.comment || '//';
+    const begin = `${comment} wm-reactnative begin: ${block.name}`;
+    const end = `${comment} wm-reactnative end: ${block.name}`;
+    const text = `${begin}\n${block.content}\n${end}`;
+    if (!fs.existsSync(file)) {
+        return skip(file, block, 'the file does not exist');
+    }
+    const content = fs.readFileSync(file, 'utf8');
+    const injected = new RegExp(`${escapeRegExp(begin)}\\n[\\s\\S]*?${escapeRegExp(end)}`);
+    if (injected.test(content)) {
+        if (content.includes(text)) {
+            return addResult(file, block, 'present');
+        }
+        await readAndReplaceFileContent(file, c => c.replace(injected, () => text), block.description || block.name);
+        return addResult(file, block, 'applied');
+    }
+    if (block.after && !content.includes(block.after)) {
+        return skip(file, block, 'the pattern is not found');
+    }
+    await readAndReplaceFileContent(file, c => {
+        if (block.after) {
+            return c.replace(block.after, () => `${block.after}\n${text}`);
+        }
+        return c + (c.endsWith('\n') || !c ? '' : '\n') + text + '\n';
+    }, block.description || block.name);
+    return addResult(file, block, 'applied');
+}
+
+module.exports = {
+    applyPatch: applyPatch,
+    applyPatches: applyPatches,
+    injectBlock: injectBlock
+};
@@ -0,0 +1,185 @@
+const fs = require('fs-extra');
+const logger = require('./logger');
+const { eventStream } = require('./custom-logger/event-stream');
+
+const loggerLabel = 'build-pipeline';
+const STATE_FILE = 'output/build-state.json';
+
+function getStateFile(dest) {
+    return `${dest.replace(/\/?$/, '/')}${STATE_FILE}`;
+}
+
+function readPhaseState(dest) {
+    const stateFile = dest && getStateFile(dest);
+    if (stateFile && fs.existsSync(stateFile)) {
+        return fs.readJSONSync(stateFile);
+    }
+    return {
+        phases: {}
+    };
+}
+
+function writePhaseState(dest, state) {
+    const stateFile = getStateFile(dest);
+    fs.mkdirsSync(stateFile.substring(0, stateFile.lastIndexOf('/')));
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 4));
+}
+
+function isFailure(result) {
+    return !!(result && (result.success === false || (result.errors && result.errors.length)));
+}
+
+/**
+ * Runs the phases in order. Completion state of every phase is stored in the dest folder,
+ * so that a later run can resume from a phase (fromPhase) or stop after a phase (toPhase).
+ *
+ * A phase is {name, run(context), restore(context)}. run resolves to a result. When the result has
+ * errors or success as false, the pipeline stops. When a phase is skipped with fromPhase, its restore
+ * function is called to load whatever the later phases need from the dest folder.
+ *
+ * options.hooks(when, phaseName, context, result), if given, is called before ('pre') and after ('post') every phase run.
+ * An error thrown by it fails the phase.
+ */
+class Pipeline {
+    constructor(phases) {
+        this.phases = phases;
+    }
+
+    /**
+     * adds a phase before or after the phase of the given name (position: {before} or {after}).
+     * Without a position, the phase is added at the end.
+     */
+    addPhase(phase, position) {
+        if (!phase || !phase.name || typeof phase.run !== 'function') {
+            throw new Error('a phase should have a name and a run function.');
+        }
+        if (this.getPhaseNames().includes(phase.name)) {
+            throw new Error(`phase ${phase.name} is already added.`);
+        }
+        position = position || {};
+        let index = this.phases.length;
+        if (position.before) {
+            index = this.indexOf(position.before, 'before');
+        } else if (position.after) {
+            index = this.indexOf(position.after, 'after') + 1;
+        }
+        this.phases.splice(index, 0, phase);
+        return this;
+    }
+
+    getPhaseNames() {
+        return this.phases.map(p => p.name);
+    }
+
+    indexOf(phaseName, optionName) {
+        const index = this.getPhaseNames().indexOf(phaseName);
+        if (index < 0) {
+            throw new Error(`${optionName} should be one of ${this.getPhaseNames().join(', ')}. Given: ${phaseName}`);
+        }
+        return index;
+    }
+
+    // throws, if the phases before fromPhase have not completed in the dest folder.
+    validateResume(dest, fromIndex, platform) {
+        if (fromIndex === 0) {
+            return;
+        }
+        if (!dest || !fs.existsSync(dest)) {
+            throw new Error('--dest of an earlier build is required to resume the build from a phase.');
+        }
+        const state = readPhaseState(dest);
+        if (platform && state.platform && state.platform !== platform) {
+            throw new Error(`${dest} was built for ${state.platform}. It cannot be resumed for ${platform}.`);
+        }
+        const pending = this.phases.slice(0, fromIndex)
+            .filter(p => !(state.phases[p.name] && state.phases[p.name].status === 'completed'))
+            .map(p => p.name);
+        if (pending.length) {
+            throw new Error(`phases (${pending.join(', ')}) have not completed in ${dest}. Build again without --from-phase.`);
+        }
+    }
+
+    markPhase(context, phaseName, status, startTime) {
+        if (!context.dest) {
+            return;
+        }
+        if (status === 'started' && !fs.existsSync(getStateFile(context.dest))) {
+            return;
+        }
+        const state = readPhaseState(context.dest);
+        const phaseNames = this.getPhaseNames();
+        state.platform = context.platform;
+        if (status === 'started') {
+            // a phase that runs again invalidates itself and all the later phases.
+            phaseNames.slice(phaseNames.indexOf(phaseName)).forEach(n => delete state.phases[n]);
+        } else {
+            state.phases[phaseName] = {
+                status: status,
+                completedAt: Date.now(),
+                duration: Date.now() - startTime
+            };
+        }
+        writePhaseState(context.dest, state);
+    }
+
+    async run(context, options) {
+        options = options || {};
+        const fromIndex = options.fromPhase ? this.indexOf(options.fromPhase, '--from-phase') : 0;
+        const toIndex = options.toPhase ? this.indexOf(options.toPhase, '--to-phase') : this.phases.length - 1;
+        if (fromIndex > toIndex) {
+            throw new Error(`--from-phase (${options.fromPhase}) is after --to-phase (${options.toPhase}).`);
+        }
+        this.validateResume(context.dest, fromIndex, context.platform);
+        let result = {
+            success: true
+        };
+        for (let i = 0; i <= toIndex; i++) {
+            const phase = this.phases[i];
+            if (i < fromIndex) {
+                logger.info({
+                    label: loggerLabel,
+                    message: `skipping phase ${phase.name} as it is completed in an earlier build.`
+                });
+                eventStream.setPhase(phase.name).emit('phase', 'info', {status: 'skipped'});
+                phase.restore && await phase.restore(context);
+                continue;
+            }
+            const startTime = Date.now();
+            logger.info({
+                label: loggerLabel,
+                message: `starting phase ${phase.name}`
+            });
+            this.markPhase(context, phase.name, 'started', startTime);
+            eventStream.setPhase(phase.name).emit('phase', 'info', {status: 'started'});
+            try {
+                options.hooks && await options.hooks('pre', phase.name, context);
+                // results are merged, so that the output of a phase is kept when the later phases do not have any.
+                result = {
+                    ...result,
+                    ...(await phase.run(context))
+                };
+                if (!isFailure(result)) {
+                    options.hooks && await options.hooks('post', phase.name, context, result);
+                }
+            } catch (e) {
+                this.markPhase(context, phase.name, 'failed', startTime);
+                eventStream.emit('phase', 'error', {status: 'failed', duration: Date.now() - startTime});
+                throw e;
+            }
+            if (isFailure(result)) {
+                result.success = false;
+                this.markPhase(context, phase.name, 'failed', startTime);
+                eventStream.emit('phase', 'error', {status: 'failed', duration: Date.now() - startTime});
+                return result;
+            }
+            this.markPhase(context, phase.name, 'completed', startTime);
+            eventStream.emit('phase', 'success', {status: 'completed', duration: Date.now() - startTime});
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    Pipeline: Pipeline,
+    readPhaseState: readPhaseState
+};
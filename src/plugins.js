@@ -0,0 +1,141 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+const errors = require('./errors');
+const { exec } = require('./exec');
+const { readAndReplaceFileContent } = require('./utils');
+const { addBuildPhase, BUILD_PHASES } = require('./command');
+const { addRequirementCheck, checkTool } = require('./requirements');
+const { getRootDir } = require('./build-context');
+const { spinnerBar, createNewSpinnerBar } = require('./custom-logger/task-logger');
+const { overallProgressBar } = require('./custom-logger/progress-bar');
+const steps = require('./custom-logger/steps');
+const pkg = require('../package.json');
+
+const loggerLabel = 'plugins';
+const PLUGIN_PREFIX = 'wm-reactnative-plugin-';
+
+/*
+ * Plugins are npm packages named wm-reactnative-plugin-* (or @scope/wm-reactnative-plugin-*), installed in
+ *  - <rootDir>/plugins (ex: npm install --prefix ~/.wm-reactnative-cli/plugins wm-reactnative-plugin-upload)
+ *  - the node_modules folder, where the cli is installed
+ *  - node_modules of the current folder
+ *
+ * A plugin exports a function (or an object with register function), that is called with the plugin api.
+ *   module.exports = (api) => {
+ *       api.registerPhase({name: 'upload', run: async (args) => {...}}, {after: 'nativeBuild'});
+ *   };
+ */
+
+const commands = [];
+const plugins = [];
+
+// node_modules folder, where the cli is installed.
+function getInstallDirectory() {
+    const dir = path.resolve(__dirname, '..');
+    const index = dir.lastIndexOf(`${path.sep}node_modules${path.sep}`);
+    return index >= 0 ? dir.substring(0, index) + `${path.sep}node_modules` : path.join(dir, 'node_modules');
+}
+
+function getPluginDirectories() {
+    return [
+        path.join(getRootDir(), 'plugins', 'node_modules'),
+        getInstallDirectory(),
+        path.join(process.cwd(), 'node_modules')
+    ].filter((dir, i, dirs) => dirs.indexOf(dir) === i && fs.existsSync(dir));
+}
+
+function findPlugins() {
+    const found = {};
+    getPluginDirectories().forEach(dir => {
+        const names = fs.readdirSync(dir).reduce((names, f) => {
+            if (f.startsWith('@') && fs.lstatSync(path.join(dir, f)).isDirectory()) {
+                return names.concat(fs.readdirSync(path.join(dir, f)).map(s => `${f}/${s}`));
+            }
+            return names.concat(f);
+        }, []);
+        names.filter(n => n.split('/').pop().startsWith(PLUGIN_PREFIX))
+            .filter(n => !found[n])
+            .forEach(n => found[n] = path.join(dir, n));
+    });
+    return found;
+}
+
+// api given to a plugin.
+function createPluginApi(name) {
+    return {
+        name: name,
+        cliVersion: pkg.version,
+        exec: exec,
+        logger: logger,
+        taskLogger: spinnerBar,
+        createNewSpinnerBar: createNewSpinnerBar,
+        overallProgressBar: overallProgressBar,
+        steps: steps,
+        config: config,
+        errors: errors,
+        readAndReplaceFileContent: readAndReplaceFileContent,
+        checkTool: checkTool,
+        buildPhases: BUILD_PHASES,
+        // command is a yargs command module: {command, describe, builder, handler}
+        registerCommand: (command) => commands.push(command),
+        // phase is {name, run(args), restore(args)}. position is {before: phaseName} or {after: phaseName}.
+        registerPhase: (phase, position) => addBuildPhase(phase, position),
+        // check is {name, platforms, check()}. check resolves to {version, path, status (ok, warn, error), message, fix}.
+        registerRequirementCheck: (check) => addRequirementCheck(check)
+    };
+}
+
+/**
+ * loads the installed plugins. A plugin that fails to load is skipped with a warning.
+ */
+function loadPlugins() {
+    const found = findPlugins();
+    Object.keys(found)
+        .filter(name => !plugins.some(p => p.name === name))
+        .forEach(name => {
+            try {
+                const plugin = require(found[name]);
+                const register = typeof plugin === 'function' ? plugin : plugin && plugin.register;
+                if (typeof register !== 'function') {
+                    throw new Error('plugin should export a function or an object with register function.');
+                }
+                register(createPluginApi(name));
+                plugins.push({
+                    name: name,
+                    path: found[name],
+                    version: readVersion(found[name])
+                });
+                logger.debug({
+                    label: loggerLabel,
+                    message: `loaded plugin ${name} from ${found[name]}`
+                });
+            } catch (e) {
+                logger.warn({
+                    label: loggerLabel,
+                    message: `could not load plugin ${name}. Due to: ${e && e.message || e}`
+                });
+                spinnerBar.warn(`could not load plugin ${name}. Due to: ${e && e.message || e}`);
+            }
+        });
+    return plugins;
+}
+
+function readVersion(pluginDir) {
+    try {
+        return fs.readJSONSync(path.join(pluginDir, 'package.json')).version;
+    } catch (e) {
+        return null;
+    }
+}
+
+function getPluginCommands() {
+    return commands;
+}
+
+module.exports = {
+    PLUGIN_PREFIX: PLUGIN_PREFIX,
+    loadPlugins: loadPlugins,
+    getPluginCommands: getPluginCommands
+};
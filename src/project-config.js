@@ -0,0 +1,175 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+
+const loggerLabel = 'project-config';
+const CONFIG_FILES = ['wm-reactnative.config.js', '.wmrnrc.json'];
+// options holding file paths. Relative paths in the config file are resolved against the folder of the config file.
+const PATH_OPTIONS = ['src', 'dest', 'aKeyStore', 'iCertificate', 'iProvisioningFile', 'localrnruntimepath', 'modulePath'];
+
+/*
+ * Config file format:
+ * {
+ *     "defaults": { ...options applied to every profile },
+ *     "profiles": {
+ *         "debug": { "buildType": "debug" },
+ *         "playstore": {
+ *             "extends": "debug",
+ *             "buildType": "release",
+ *             "packageType": "bundle",
+ *             "aKeyStore": "./keys/upload.jks",
+ *             "aKeyAlias": "${KEY_ALIAS}"
+ *         }
+ *     }
+ * }
+ * Option names are same as the cli options. ${NAME} is replaced with the value of the environment variable NAME.
+ * "hooks" can be given at the top level and in a profile (see hooks.js).
+ */
+
+function findProjectConfigFile(args) {
+    if (args.config) {
+        const configFile = path.resolve(args.config);
+        if (!fs.existsSync(configFile)) {
+            throw new Error(`config file does not exist: ${configFile}`);
+        }
+        return configFile;
+    }
+    const dirs = [];
+    if (args.src && fs.existsSync(args.src) && fs.lstatSync(args.src).isDirectory()) {
+        dirs.push(path.resolve(args.src));
+    }
+    dirs.push(process.cwd());
+    for (const dir of dirs) {
+        const configFile = CONFIG_FILES.map(f => path.join(dir, f)).find(f => fs.existsSync(f));
+        if (configFile) {
+            return configFile;
+        }
+    }
+    return null;
+}
+
+function loadProjectConfig(configFile) {
+    if (configFile.endsWith('.js')) {
+        delete require.cache[require.resolve(configFile)];
+        return require(configFile);
+    }
+    return fs.readJSONSync(configFile);
+}
+
+function interpolateEnv(value, name) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (m, envName) => {
+            if (process.env[envName] === undefined) {
+                throw new Error(`environment variable ${envName} referred in '${name}' is not set.`);
+            }
+            return process.env[envName];
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(v => interpolateEnv(v, name));
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((o, k) => {
+            o[k] = interpolateEnv(value[k], name);
+            return o;
+        }, {});
+    }
+    return value;
+}
+
+function getProfile(projectConfig, profileName, visited) {
+    const profiles = projectConfig.profiles || {};
+    const profile = profiles[profileName];
+    visited = visited || [];
+    if (!profile) {
+        throw new Error(`profile '${profileName}' is not found. Available profiles are: ${Object.keys(profiles).join(', ') || 'none'}.`);
+    }
+    if (visited.includes(profileName)) {
+        throw new Error(`profile '${profileName}' extends itself.`);
+    }
+    const values = {...profile};
+    delete values.extends;
+    if (profile.extends) {
+        return {...getProfile(projectConfig, profile.extends, [...visited, profileName]), ...values};
+    }
+    return values;
+}
+
+// script files of the hooks are resolved against the folder of the config file.
+function resolveHooks(hooks, configDir) {
+    return Object.keys(hooks).reduce((resolved, name) => {
+        resolved[name] = [].concat(hooks[name]).map(hook => {
+            return typeof hook === 'string' && /\.(js|sh)$/.test(hook) ? path.resolve(configDir, hook) : hook;
+        });
+        return resolved;
+    }, {});
+}
+
+/**
+ * returns the option values from the config file, for the profile selected with --profile.
+ */
+function resolveProjectConfig(args) {
+    const configFile = findProjectConfigFile(args);
+    if (!configFile) {
+        if (args.profile) {
+            throw new Error(`--profile is given, but none of ${CONFIG_FILES.join(', ')} is found.`);
+        }
+        return null;
+    }
+    const projectConfig = loadProjectConfig(configFile);
+    let values = {...(projectConfig.defaults || {})};
+    if (args.profile) {
+        values = {...values, ...getProfile(projectConfig, args.profile)};
+    }
+    const configDir = path.dirname(configFile);
+    // hooks of the profile are added to the hooks of the config (see hooks.js).
+    const hooks = resolveHooks({...(projectConfig.hooks || {}), ...(values.hooks || {})}, configDir);
+    delete values.hooks;
+    Object.keys(values).forEach(k => {
+        values[k] = interpolateEnv(values[k], k);
+        if (PATH_OPTIONS.includes(k) && typeof values[k] === 'string') {
+            values[k] = path.resolve(configDir, values[k]);
+        }
+    });
+    return {
+        file: configFile,
+        values: values,
+        hooks: hooks
+    };
+}
+
+/**
+ * applies the profile values to args. Options given in the command line take precedence over the profile values.
+ * parsed is the yargs parse result, that has the aliases and the options that took the default values.
+ */
+function applyProjectConfig(args, parsed) {
+    const projectConfig = resolveProjectConfig(args);
+    if (!projectConfig) {
+        return args;
+    }
+    const aliases = (parsed && parsed.aliases) || {};
+    const defaulted = (parsed && parsed.defaulted) || {};
+    Object.keys(projectConfig.values).forEach(k => {
+        const names = [k, ...(aliases[k] || [])];
+        const isGiven = args[k] !== undefined && !names.some(n => defaulted[n]);
+        if (!isGiven) {
+            names.forEach(n => args[n] = projectConfig.values[k]);
+        }
+    });
+    if (Object.keys(projectConfig.hooks).length) {
+        args.hooks = {...projectConfig.hooks, ...(args.hooks || {})};
+    }
+    logger.info({
+        label: loggerLabel,
+        message: `loaded ${args.profile ? `profile '${args.profile}' from ` : ''}${projectConfig.file}`
+    });
+    return args;
+}
+
+module.exports = {
+    CONFIG_FILES: CONFIG_FILES,
+    findProjectConfigFile: findProjectConfigFile,
+    resolveProjectConfig: resolveProjectConfig,
+    getProfile: getProfile,
+    applyProjectConfig: applyProjectConfig
+};
@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { hashPath, hashValue } = require('./fingerprint');
+
+const STATE_FILE = 'output/project-state.json';
+// files that decide the installed node_modules.
+const PREPARE_INPUTS = ['package.json', 'package-lock.json', 'yarn.lock'];
+// files that decide the native projects generated by expo prebuild.
+const EJECT_INPUTS = ['app.json', 'app.config.js', 'package.json', 'wm_rn_config.json', 'assets'];
+
+/*
+ * State of the project in a build folder, so that a build into the same folder (--incremental) does not
+ * repeat the work already done. It is kept in <dest>/output/project-state.json as
+ *   {prepared: {inputs, completedAt}, ejected: {platform, inputs, completedAt}}
+ * where inputs is the hash of the files the step depends on, taken before the step (npm install and expo prebuild
+ * change some of them). A step is done again, when its inputs change.
+ */
+
+function getStateFile(dest) {
+    return path.join(dest, STATE_FILE);
+}
+
+function readProjectState(dest) {
+    const file = getStateFile(dest);
+    if (fs.existsSync(file)) {
+        try {
+            return fs.readJSONSync(file);
+        } catch (e) {
+            // a corrupt state is same as no state. Everything is done again.
+        }
+    }
+    return {};
+}
+
+function writeProjectState(dest, state) {
+    const file = getStateFile(dest);
+    fs.mkdirsSync(path.dirname(file));
+    fs.writeFileSync(file, JSON.stringify(state, null, 4));
+}
+
+function hashInputs(dest, files) {
+    return hashValue(files.map(f => hashPath(path.join(dest, f))));
+}
+
+function markProjectState(dest, step, values) {
+    const state = readProjectState(dest);
+    state[step] = {
+        ...values,
+        completedAt: Date.now()
+    };
+    writeProjectState(dest, state);
+}
+
+function clearProjectState(dest, step) {
+    const state = readProjectState(dest);
+    delete state[step];
+    writeProjectState(dest, state);
+}
+
+// tells whether node_modules of dest is installed for the package.json and lock file in projectDir (default: dest).
+function isPrepared(dest, projectDir) {
+    const prepared = readProjectState(dest).prepared;
+    return !!prepared && fs.existsSync(path.join(dest, 'node_modules'))
+        && prepared.inputs === getPrepareInputs(projectDir || dest);
+}
+
+function getPrepareInputs(dest) {
+    return hashInputs(dest, PREPARE_INPUTS);
+}
+
+function markPrepared(dest, inputs) {
+    markProjectState(dest, 'prepared', {
+        inputs: inputs
+    });
+}
+
+// tells whether the native project of the platform is generated from app.json, package.json and the assets in projectDir (default: dest).
+function isEjected(dest, platform, projectDir) {
+    const ejected = readProjectState(dest).ejected;
+    return !!ejected && ejected.platform === platform && fs.existsSync(path.join(dest, platform))
+        && ejected.inputs === getEjectInputs(projectDir || dest);
+}
+
+function getEjectInputs(dest) {
+    return hashInputs(dest, EJECT_INPUTS);
+}
+
+function markEjected(dest, platform, inputs) {
+    markProjectState(dest, 'ejected', {
+        platform: platform,
+        inputs: inputs
+    });
+}
+
+module.exports = {
+    readProjectState: readProjectState,
+    clearProjectState: clearProjectState,
+    getPrepareInputs: getPrepareInputs,
+    isPrepared: isPrepared,
+    markPrepared: markPrepared,
+    getEjectInputs: getEjectInputs,
+    isEjected: isEjected,
+    markEjected: markEjected
+};
@@ -9,7 +9,9 @@ const qs = require('qs');
 const semver = require('semver');
 const { exec } = require('./exec');
 const { unzip } = require('./zip');
+const { registerSecret } = require('./redact');
 const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { AuthError, SyncError } = require('./errors');
 const {previewSteps} = require('./custom-logger/steps');
 const chalk = require('chalk');
 //const PULL_URL = '/studio/services/projects/${projectId}/vcs/remoteChanges';
@@ -134,6 +136,7 @@ async function downloadProject(projectId, config, projectDir) {
             message: e+` The download of the project has encountered an issue. Please ensure that the preview is active.`
         });
         taskLogger.fail(e+` ${previewSteps[2].fail}`)
+        throw new SyncError(`${previewSteps[2].fail} Due to: ${e}`, e);
     }
 }
 
@@ -370,7 +373,12 @@ async function setup(previewUrl, projectName, authToken) {
         //console.log(`Need to login to Studio (${config.baseUrl}). \n Please enter your Studio credentails.`);
         //config.authCookie = await authenticateWithUserNameAndPassword(config);
         config.authCookie = await authenticateWithToken(config, true);
+        if (!config.authCookie || !await checkAuthCookie(config)) {
+            taskLogger.fail('Authentication with the studio failed. Please proceed with a valid token.');
+            throw new AuthError('Authentication with the studio failed.');
+        }
     }
+    registerSecret((config.authCookie || '').replace('auth_cookie=', ''));
     global.localStorage.setItem(STORE_KEY, config.authCookie);
     taskLogger.incrementProgress(1);
     taskLogger.succeed(previewSteps[1].succeed);
@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const propertiesReader = require('properties-reader');
+const logger = require('./logger');
+const { writeFileContent } = require('./utils');
+
+const loggerLabel = 'properties-editor';
+
+/*
+ * Edits .properties files of the android project (gradle.properties, local.properties), keeping their comments and
+ * the order of the lines. A key is set in place of its first line and the later lines of the same key are removed,
+ * so that a build in the same folder does not add it again.
+ */
+
+// lines of the content joined with their continuation lines (lines ending with an odd number of backslashes).
+function getLogicalLines(content) {
+    const lines = [];
+    let continued = false;
+    content.split(/\r?\n/).forEach(line => {
+        if (continued) {
+            lines[lines.length - 1].push(line);
+        } else {
+            lines.push([line]);
+        }
+        continued = /(^|[^\\])(\\\\)*\\$/.test(line);
+    });
+    return lines;
+}
+
+function escapeKey(key) {
+    return key.replace(/\\/g, '\\\\').replace(/([=:\s#!])/g, '\\$1');
+}
+
+function escapeValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/^\s/, '\\$&');
+}
+
+// key of the line, or null for the comments and the empty lines.
+function getKey(line) {
+    const match = !/^\s*([#!]|$)/.test(line) && line.match(/^\s*((?:\\.|[^\s=:\\])+)/);
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+}
+
+/**
+ * returns the properties in the file as strings, as they are written (types are not converted and the escapes are
+ * kept). Returns {}, when the file does not exist.
+ */
+function readProperties(file) {
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    const reader = propertiesReader(file);
+    return Object.keys(reader.getAllProperties()).reduce((properties, key) => {
+        properties[key] = reader.getRaw(key);
+        return properties;
+    }, {});
+}
+
+/**
+ * sets the properties in the file (created, when it does not exist). A property with the value null or undefined
+ * is removed. reason is recorded in the journal of the build. Returns the properties of the file after the change.
+ */
+function setProperties(file, properties, reason) {
+    const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const pending = Object.assign({}, properties);
+    const done = new Set();
+    const lines = getLogicalLines(content).filter(line => {
+        const key = getKey(line[0]);
+        if (key === null || !(key in pending)) {
+            return true;
+        }
+        if (done.has(key) || pending[key] === null || pending[key] === undefined) {
+            return false;
+        }
+        line.splice(0, line.length, `${escapeKey(key)}=${escapeValue(pending[key])}`);
+        done.add(key);
+        return true;
+    });
+    // new keys go before the trailing empty line.
+    const end = lines.length && lines[lines.length - 1][0] === '' ? lines.length - 1 : lines.length;
+    const added = Object.keys(pending)
+        .filter(k => !done.has(k) && pending[k] !== null && pending[k] !== undefined)
+        .map(k => [`${escapeKey(k)}=${escapeValue(pending[k])}`]);
+    lines.splice(end, 0, ...added);
+    const updated = lines.map(line => line.join('\n')).join('\n');
+    if (updated !== content) {
+        writeFileContent(file, updated, reason);
+        logger.info({
+            label: loggerLabel,
+            message: `updated ${Object.keys(properties).join(', ')} in ${file}`
+        });
+    }
+    return readProperties(file);
+}
+
+// removes the keys from the file.
+function removeProperties(file, keys, reason) {
+    return setProperties(file, keys.reduce((properties, key) => {
+        properties[key] = null;
+        return properties;
+    }, {}), reason);
+}
+
+/**
+ * converts the values of --gradle-prop (key=value) to properties. Throws an error for a value without a key.
+ */
+function parsePropertyOptions(values) {
+    return [].concat(values || []).reduce((properties, value) => {
+        const index = String(value).indexOf('=');
+        const key = index > 0 ? String(value).substring(0, index).trim() : '';
+        if (!key) {
+            throw new Error(`invalid gradle property: ${value}. It should be key=value.`);
+        }
+        properties[key] = String(value).substring(index + 1);
+        return properties;
+    }, {});
+}
+
+module.exports = {
+    readProperties: readProperties,
+    setProperties: setProperties,
+    removeProperties: removeProperties,
+    parsePropertyOptions: parsePropertyOptions
+};
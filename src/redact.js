@@ -0,0 +1,46 @@
+const { format } = require('winston');
+const { maskSecrets, registerSecret } = require('./secrets');
+
+const MASK = '****';
+
+// secrets that can be recognized by their surroundings, even when they are not registered.
+const SECRET_PATTERNS = [
+    // security import -P <password>
+    /(\s-P\s+)("[^"]*"|'[^']*'|\S+)/g,
+    // openssl -passin pass:<password>
+    /(\bpass:)(\S+)/g,
+    // keytool -storepass <password> -keypass <password>
+    /(\s-(?:storepass|keypass|srcstorepass|deststorepass)\s+)(\S+)/g,
+    /(\bauth_cookie=)([^;\s]+)/g,
+    /(\bj_password=)([^&\s]+)/g,
+    /(\bMYAPP_UPLOAD_(?:STORE|KEY)_PASSWORD=)(\S+)/g,
+    // token given after # in preview urls
+    /(\bhttps?:\/\/[^\s#]+#)([^\s'"]+)/g
+];
+
+/**
+ * masks the registered secrets and the well known secret patterns in the text.
+ */
+function redact(text) {
+    if (typeof text !== 'string') {
+        return text;
+    }
+    text = maskSecrets(text);
+    return SECRET_PATTERNS.reduce((t, p) => t.replace(p, (m, prefix) => prefix + MASK), text);
+}
+
+// winston format that redacts the message of every log entry.
+const redactFormat = format((info) => {
+    if (typeof info.message === 'string') {
+        info.message = redact(info.message);
+    } else if (info.message instanceof Error) {
+        info.message = redact(String(info.message));
+    }
+    return info;
+});
+
+module.exports = {
+    redact: redact,
+    redactFormat: redactFormat,
+    registerSecret: registerSecret
+};
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const os = require('os');
+const path = require('path');
 const semver = require('semver');
 const prompt = require('prompt');
 
@@ -7,81 +8,235 @@ const logger = require('./logger');
 const {
     exec
 } = require('./exec');
+const { isInteractive } = require('./build-context');
 const loggerLabel = 'rn-cli-requirements';
-let VERSIONS = {
+// minimum versions of the tools. They are shared by the builds of the process, so they are not changed by a build.
+const VERSIONS = Object.freeze({
     'NODE': '14.0.0',
     'POD' : '1.9.0',
     'JAVA': '11.0.0',
     'REACT_NATIVE': '0.68.2',
     'EXPO': '5.4.4',
-}
+});
 
-// check if expo cli is installed globally or not
-// gradle check
-async function checkAvailability(cmd, transformFn, projectSrc) {
-    try {
-        let options = {};
-        if (projectSrc) {
-            options = {
-                cwd: projectSrc
+// returns the first match of cmd in the PATH directories.
+function findExecutable(cmd) {
+    const isWindows = os.type().includes('Windows');
+    const extensions = isWindows ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';') : [''];
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const dir of dirs) {
+        for (const ext of extensions) {
+            const file = path.join(dir, cmd + ext);
+            if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+                return file;
             }
         }
-        let output = (await exec(cmd, ['--version'])).join('');
+    }
+    return null;
+}
 
-        if (transformFn) {
-            output = transformFn(output);
-        }
-        // to just return version in x.x.x format
-        let version = output.match(/[0-9]+\.[0-9\.]+/)[0];
+async function readToolVersion(cmd, args, transformFn) {
+    let output = (await exec(cmd, args || ['--version'], {log: false})).join('');
+    if (transformFn) {
+        output = transformFn(output);
+    }
+    const match = output && output.match(/[0-9]+\.[0-9\.]+/);
+    return match ? semver.coerce(match[0]).version : null;
+}
 
-        logger.info({
-            'label': loggerLabel,
-            'message': cmd + ' version available is ' + version
-        })
-        const requiredVersion = VERSIONS[cmd.toUpperCase()];
-        version = semver.coerce(version).version;
-        if (requiredVersion && semver.lt(version, requiredVersion)) {
-            logger.error('Minimum ' + cmd + ' version required is ' + requiredVersion + '. Please update the version.');
-            return false;
-        }
-        return version;
+// Each check resolves to {version, path, status, message, fix}. status is one of ok, warn or error.
+async function checkTool(cmd, options) {
+    options = options || {};
+    const required = options.required || VERSIONS[cmd.toUpperCase()];
+    const result = {
+        version: null,
+        required: required || '',
+        path: findExecutable(cmd),
+        status: 'ok',
+        message: '',
+        fix: ''
+    };
+    if (!result.path) {
+        result.status = options.optional ? 'warn' : 'error';
+        result.message = `${cmd} is not found in PATH.`;
+        result.fix = options.fix;
+        return result;
+    }
+    try {
+        result.version = await readToolVersion(cmd, options.args, options.transformFn);
     } catch(e) {
-        console.error(e);
-        logger.error('Observing error while checking ' + cmd.toUpperCase() + ' availability');
-        return false;
+        result.status = 'error';
+        result.message = `${cmd} is installed, but its version could not be read.`;
+        result.fix = options.fix;
+        return result;
+    }
+    if (required && result.version && semver.lt(result.version, required)) {
+        result.status = 'error';
+        result.message = `Minimum ${cmd} version required is ${required}.`;
+        result.fix = options.fix;
     }
+    return result;
 }
 
-async function checkForGradleAvailability() {
-    return await checkAvailability('gradle', o => o && o.substring(o.indexOf('Gradle')) );
+function checkJavaHome() {
+    const javaHome = process.env['JAVA_HOME'];
+    const result = {version: null, required: '', path: javaHome || null, status: 'ok', message: '', fix: ''};
+    if (!javaHome || !fs.existsSync(javaHome)) {
+        result.status = 'error';
+        result.message = javaHome ? `JAVA_HOME points to a non-existent path: ${javaHome}` : 'JAVA_HOME is not set.';
+        result.fix = 'Set JAVA_HOME to the JDK installation folder, e.g. export JAVA_HOME="/usr/lib/jvm/java-17-openjdk-amd64".';
+    }
+    return result;
 }
 
-async function checkForAndroidStudioAvailability() {
-    // ANDROID_HOME environment variable is set or not. If it is set checking if its a valid path or no.
-    const ANDROID_HOME = process.env['ANDROID_HOME'];
-    const ANDROID_SDK_ROOT = process.env['ANDROID_SDK_ROOT']
-    if (ANDROID_HOME && !ANDROID_SDK_ROOT) {
-        logger.warn({
-            'label': loggerLabel,
-            'message': 'ANDROID_HOME is deprecated. Recommended to set ANDROID_SDK_ROOT'
-        });
+function checkAndroidSdk() {
+    const sdkRoot = process.env['ANDROID_SDK_ROOT'] || process.env['ANDROID_HOME'];
+    const result = {version: null, required: '', path: sdkRoot || null, status: 'ok', message: '', fix: ''};
+    if (!sdkRoot || !fs.existsSync(sdkRoot)) {
+        result.status = 'error';
+        result.message = sdkRoot ? `Android SDK path does not exist: ${sdkRoot}` : 'ANDROID_SDK_ROOT is not set.';
+        result.fix = 'Install Android Studio (or the command line tools) and set ANDROID_SDK_ROOT to the SDK folder.';
+    } else if (!process.env['ANDROID_SDK_ROOT']) {
+        result.status = 'warn';
+        result.message = 'ANDROID_HOME is deprecated.';
+        result.fix = 'Set ANDROID_SDK_ROOT to the same folder as ANDROID_HOME.';
     }
-    envVariable = ANDROID_SDK_ROOT || ANDROID_HOME;
-    if (!envVariable) {
-        logger.error({
-            'label': loggerLabel,
-            'message': 'Failed to find \'ANDROID_SDK_ROOT\' environment variable. Try setting it manually.\n' +
-            'Try update your \'PATH\' to include path to valid SDK directory.'});
-        return false;
+    return result;
+}
+
+const REQUIREMENT_CHECKS = [{
+    name: 'Node',
+    platforms: ['android', 'ios', 'preview', 'embed'],
+    check: () => checkTool('node', {
+        fix: 'Install Node 14 or later from https://nodejs.org/en/download/'
+    })
+}, {
+    name: 'npm',
+    platforms: ['preview'],
+    check: () => checkTool('npm', {
+        fix: 'npm is installed along with Node. Reinstall Node from https://nodejs.org/en/download/'
+    })
+}, {
+    name: 'Yarn',
+    platforms: ['android', 'ios', 'preview', 'embed'],
+    check: () => checkTool('yarn', {
+        fix: 'npm install -g yarn'
+    })
+}, {
+    name: 'Git',
+    platforms: ['android', 'ios', 'preview', 'embed'],
+    check: () => checkTool('git', {
+        fix: 'Install git from https://git-scm.com/download'
+    })
+}, {
+    name: 'Java',
+    platforms: ['android'],
+    check: () => checkTool('java', {
+        args: ['-version'],
+        fix: 'Install Java 11 or later (17 recommended) from https://openjdk.org/install/ and add it to PATH.'
+    })
+}, {
+    name: 'JAVA_HOME',
+    platforms: ['android'],
+    check: checkJavaHome
+}, {
+    name: 'Gradle',
+    platforms: ['android'],
+    check: () => checkTool('gradle', {
+        transformFn: o => o && o.substring(o.indexOf('Gradle')),
+        fix: 'Install Gradle 8 from https://gradle.org/releases/ and set GRADLE_HOME.'
+    })
+}, {
+    name: 'Android SDK',
+    platforms: ['android'],
+    // checked only by doctor, as the build did not require it before.
+    buildCheck: false,
+    check: checkAndroidSdk
+}, {
+    name: 'CocoaPods',
+    platforms: ['ios'],
+    check: () => checkTool('pod', {
+        fix: 'sudo gem install cocoapods (or) brew install cocoapods'
+    })
+}, {
+    name: 'Xcode',
+    platforms: ['ios'],
+    buildCheck: false,
+    check: () => checkTool('xcodebuild', {
+        args: ['-version'],
+        fix: 'Install the latest Xcode from the App Store and run: sudo xcode-select -s /Applications/Xcode.app'
+    })
+}];
+
+// adds a check to the requirement checks (see plugins.js). Added checks are run by doctor and before the build
+// (canDoAndroidBuild, canDoIosBuild).
+function addRequirementCheck(check) {
+    if (!check || !check.name || typeof check.check !== 'function') {
+        throw new Error('a requirement check should have a name and a check function.');
     }
-    if (!fs.existsSync(envVariable)) {
-        logger.error({
-            'label': loggerLabel,
-            'message': '\'ANDROID_HOME\' environment variable is set to non-existent path: ' + process.env['ANDROID_HOME'] +
-            '\nTry update it manually to point to valid SDK directory.'});
+    REQUIREMENT_CHECKS.push({
+        platforms: ['android', 'ios', 'preview'],
+        ...check,
+        added: true
+    });
+}
+
+// runs all checks of the given platform (all platforms, if not given) without stopping at the first failure.
+async function runRequirementChecks(platform) {
+    return runChecks(REQUIREMENT_CHECKS.filter(c => !platform || c.platforms.includes(platform)));
+}
+
+async function runChecks(checks) {
+    const results = [];
+    for (const c of checks) {
+        let result;
+        try {
+            result = await c.check();
+        } catch(e) {
+            result = {version: null, required: '', path: null, status: 'error', message: e.message || String(e), fix: ''};
+        }
+        results.push(Object.assign({name: c.name, version: null, required: '', path: null, status: 'ok', message: '', fix: ''}, result));
+    }
+    return results;
+}
+
+// runs the checks of the platform (with the checks added by the plugins), except the ones with buildCheck false,
+// and logs the problems. Resolves to false, when a check fails.
+async function passesRequirementChecks(platform) {
+    return passesChecks(REQUIREMENT_CHECKS.filter(c => c.platforms.includes(platform) && c.buildCheck !== false));
+}
+
+async function passesChecks(checks) {
+    const results = await runChecks(checks);
+    results.forEach(r => {
+        if (r.status === 'ok') {
+            logger.info({
+                label: loggerLabel,
+                message: `${r.name} ${r.version ? r.version + ' ' : ''}is available${r.path ? ' at ' + r.path : ''}`
+            });
+        } else {
+            logger[r.status === 'error' ? 'error' : 'warn']({
+                label: loggerLabel,
+                message: `${r.name}: ${r.message} ${r.fix || ''}`
+            });
+        }
+    });
+    return !results.some(r => r.status === 'error');
+}
+
+function passesCheck(...names) {
+    return passesChecks(REQUIREMENT_CHECKS.filter(c => names.includes(c.name)));
+}
+
+async function checkForGradleAvailability() {
+    return await passesCheck('Gradle');
+}
+
+async function checkForAndroidStudioAvailability() {
+    if (!await passesCheck('Android SDK')) {
         return false;
     }
-    let sdkPath = envVariable + '/tools/bin/sdkmanager';
+    let sdkPath = (process.env['ANDROID_SDK_ROOT'] || process.env['ANDROID_HOME']) + '/tools/bin/sdkmanager';
 
     // file extension has to be added for windows os for existsSync to work.
     sdkPath = os.type().includes('Windows') ? sdkPath + '.bat' : sdkPath;
@@ -105,39 +260,23 @@ async function checkForAndroidStudioAvailability() {
 }
 
 async function hasValidJavaVersion() {
-    const javaVersion = (await exec('java', ['-version'])).join('').match(/[0-9\.]+/)[0];
-
-    if (semver.lt(semver.coerce(javaVersion).version, VERSIONS.JAVA)) {
-        logger.error('Minimum java version required is' + VERSIONS.JAVA + '. Please update the java version.');
-        return false;
-    }
-
-    const envVariable = process.env['JAVA_HOME'];
-
-    if (!envVariable) {
-        logger.error({
-            'label': loggerLabel,
-            'message': 'Failed to find \'JAVA_HOME\' environment variable. Try setting it manually.\n' +
-            'Try update your \'PATH\' to include path to valid directory.'});
-        return false;
-    }
-    return true;
+    return await passesCheck('Java', 'JAVA_HOME');
 }
 
 async function isGitInstalled() {
-    return await checkAvailability('git');
+    return await passesCheck('Git');
 }
 
 async function hasYarnPackage() {
-    return await checkAvailability('yarn');
+    return await passesCheck('Yarn');
 }
 
 async function isCocoaPodsInstalled() {
-    return await checkAvailability('pod');
+    return await passesCheck('CocoaPods');
 }
 
 async function hasValidNodeVersion() {
-    return await checkAvailability('node');
+    return await passesCheck('Node');
 }
 
 async function hasValidExpoVersion() {
@@ -180,6 +319,10 @@ function validateForIos(certificate, password, provisionalFilePath, buildType) {
 }
 
 async function showConfirmation(message) {
+    // builds started with the api cannot be prompted.
+    if (!isInteractive()) {
+        return 'no';
+    }
     return new Promise((resolve, reject) => {
         prompt.get({
             properties: {
@@ -201,33 +344,15 @@ async function showConfirmation(message) {
 }
 
 async function canDoEmbed() {
-    let flag = true;
-    flag = flag && await hasValidNodeVersion();
-    flag = flag && await hasYarnPackage();
-    flag = flag && await isGitInstalled();
-    flag = flag && await hasValidExpoVersion();
-    return flag;
+    return await passesRequirementChecks('embed');
 }
 
 async function canDoIosBuild() {
-    let flag = true;
-    flag = flag && await hasValidNodeVersion();
-    flag = flag && await hasYarnPackage();
-    flag = flag && await isGitInstalled();
-    flag = flag && await hasValidExpoVersion();
-    flag = flag && await isCocoaPodsInstalled();
-    return flag;
+    return await passesRequirementChecks('ios');
 }
 
 async function canDoAndroidBuild() {
-    let flag = true;
-    flag = flag && !!await hasValidNodeVersion();
-    flag = flag && !!await hasYarnPackage();
-    flag = flag && !!await isGitInstalled();
-    flag = flag && !!await hasValidExpoVersion();
-    flag = flag && !!await hasValidJavaVersion();
-    flag = flag && !!await checkForGradleAvailability();
-    return flag;
+    return await passesRequirementChecks('android');
 }
 
 module.exports = {
@@ -245,6 +370,11 @@ module.exports = {
     VERSIONS: VERSIONS,
     canDoEmbed: canDoEmbed,
     canDoIosBuild: canDoIosBuild,
-    canDoAndroidBuild: canDoAndroidBuild
+    canDoAndroidBuild: canDoAndroidBuild,
+    findExecutable: findExecutable,
+    runRequirementChecks: runRequirementChecks,
+    checkTool: checkTool,
+    addRequirementCheck: addRequirementCheck,
+    passesRequirementChecks: passesRequirementChecks
 }
 // TODO: support for multiple react native versions.
@@ -0,0 +1,410 @@
+const fs = require('fs-extra');
+const path = require('path');
+const semver = require('semver');
+const logger = require('./logger');
+const { readAndReplaceFileContent } = require('./utils');
+
+const loggerLabel = 'sdk-profiles';
+const templatesDir = path.resolve(`${__dirname}/../templates`);
+
+/*
+ * Every Expo SDK specific behavior of the cli is declared here.
+ *
+ * A profile has
+ *  - range: semver range of the expo version (from package.json) that the profile applies to.
+ *  - lockfileTemplate: package-lock.json copied into the generated project before installing dependencies.
+ *  - ports: ports used by the expo (barcode) and web previews.
+ *  - pins: dependency pins for package.json, grouped by target (build, expoPreview, webPreview).
+ *  - patches: node_modules patches, grouped by target.
+ *  - webPreview: tweaks to the generated web preview project.
+ *  - native: tweaks to the ejected native projects.
+ *
+ * A pin is either a version (always set), null (always removed), a function
+ * (current, packageJson) => version or {match: [current versions], value: version}.
+ * In match, undefined stands for a missing dependency.
+ *
+ * Supporting a new Expo SDK means adding a profile to PROFILES.
+ */
+
+// pins applied to package.json of every build, before the profile specific pins.
+const BASE_BUILD_PINS = {
+    dependencies: {
+        //downgrading expo-av to 11 to address the build failure issue
+        'expo-av': {match: ['~13.0.1'], value: '~11.0.1'},
+        'react-lottie-player': (current, packageJson) => {
+            const lottie = packageJson.dependencies['lottie-react-native'];
+            return (!lottie || lottie === '5.1.5') ? '^1.5.4' : current;
+        },
+        'lottie-react-native': {match: [undefined, '5.1.5'], value: '^5.1.5'},
+        'expo-file-system': {match: ['^15.1.1'], value: '15.2.2'},
+        'axios': {match: ['^1.4.0'], value: '1.6.8'}
+    },
+    devDependencies: {
+        '@babel/plugin-proposal-optional-chaining': {match: [undefined], value: '^7.21.0'},
+        '@babel/plugin-proposal-nullish-coalescing-operator': {match: [undefined], value: '^7.18.6'}
+    },
+    resolutions: {
+        'expo-application': {match: [undefined], value: '5.8.4'},
+        'axios': {match: [undefined], value: '1.6.8'}
+    },
+    platforms: {
+        android: {
+            dependencies: {
+                '@react-native-cookies/cookies': '6.2.1'
+            }
+        }
+    }
+};
+
+const LEGACY_EXPO_PREVIEW_PINS = {
+    dependencies: {
+        'expo-file-system': {match: ['^15.1.1'], value: '15.2.2'}
+    },
+    webPreview: {
+        dependencies: {
+            'react-native-svg': '13.4.0'
+        }
+    }
+};
+
+const ESBUILD_WEB_PREVIEW_PINS = {
+    dependencies: {
+        'react-native-svg': '13.4.0',
+        'victory': '^36.5.3'
+    },
+    devDependencies: {
+        'fs-extra': '^10.0.0',
+        'esbuild': null,
+        'esbuild-plugin-resolve': null
+    }
+};
+
+const REANIMATED_PATCH = {
+    file: 'node_modules/react-native-reanimated/src/reanimated2/NativeReanimated/NativeReanimated.ts',
+    patch: content => content.replace(/global.__reanimatedModuleProxy === undefined/gm, `global.__reanimatedModuleProxy === undefined && native`)
+};
+
+// To remove openBrowser()
+const OPEN_BROWSER_PATCHES = [{
+    file: 'node_modules/open/index.js',
+    patch: c => c.replace("const subprocess", 'return;\n\nconst subprocess')
+}, {
+    file: 'node_modules/@expo/cli/build/src/utils/open.js',
+    patch: c => c.replace('if (process.platform !== "win32")', 'return;\n\n if (process.platform !== "win32")')
+}];
+
+const NULLISH_COALESCING_PATCHES = [
+    'core/base.component.js',
+    'components/advanced/carousel/carousel.component.js',
+    'components/input/rating/rating.component.js'
+].map(f => ({
+    file: `node_modules/@wavemaker/app-rn-runtime/${f}`,
+    patch: c => c.replace(/\?\?/g, '||')
+}));
+
+const EXPO_CAMERA_PATCH = {
+    file: 'node_modules/expo-camera/build/useWebQRScanner.js',
+    patch: c => {
+        if (c.indexOf('@koale/useworker') > 0) {
+            return fs.readFileSync(`${templatesDir}/expo-camera-patch/useWebQRScanner.js`, {
+                encoding: 'utf-8'
+            });
+        }
+        return c;
+    }
+};
+
+const FONT_LOADER_FILE = 'node_modules/expo-font/build/ExpoFontLoader.web.js';
+
+const fontLoaderPatch = (transform) => ({
+    file: FONT_LOADER_FILE,
+    patch: content => {
+        content = transform ? transform(content) : content;
+        return content.replace(/src\s*:\s*url\(\$\{resource\.uri\}\);/g, 'src:url(.${resource.uri});');
+    }
+});
+
+// https://github.com/expo/expo/issues/24273#issuecomment-2132297993
+const ENV_SERIALIZER_PATCH = {
+    file: 'node_modules/@expo/metro-config/build/serializer/environmentVariableSerializerPlugin.js',
+    patch: content => {
+        content = content.replace('getEnvPrelude(str)', '//getEnvPrelude(str)');
+        return content.replace('// process.env', '// process.env \n firstModule.output[0].data.code = firstModule.output[0].data.code + str;');
+    }
+};
+
+const LEGACY_WEB_PREVIEW_PATCHES = [
+    ...OPEN_BROWSER_PATCHES,
+    ...NULLISH_COALESCING_PATCHES,
+    EXPO_CAMERA_PATCH,
+    fontLoaderPatch(),
+    ENV_SERIALIZER_PATCH
+];
+
+async function copyEsbuildTemplate(expoDir, codegen) {
+    fs.copySync(`${codegen}/src/templates/project/esbuild`, `${expoDir}/esbuild`);
+}
+
+const PROFILES = [{
+    name: 'expo-48',
+    range: '48.x',
+    ports: {
+        expoPreview: 19000,
+        webPreview: 19000
+    },
+    pins: {
+        expoPreview: LEGACY_EXPO_PREVIEW_PINS,
+        webPreview: {
+            devDependencies: {
+                'fs-extra': '^10.0.0',
+                '@babel/plugin-proposal-export-namespace-from': '7.18.9',
+                'esbuild': null,
+                'esbuild-plugin-resolve': null
+            }
+        }
+    },
+    patches: {
+        expoPreview: [REANIMATED_PATCH],
+        webPreview: LEGACY_WEB_PREVIEW_PATCHES
+    },
+    webPreview: {
+        tweak: async (expoDir, codegen) => {
+            await copyEsbuildTemplate(expoDir, codegen);
+            await readAndReplaceFileContent(`${expoDir}/babel.config.js`, content => {
+                if (content.indexOf('@babel/plugin-proposal-export-namespace-from') < 0) {
+                    content = content.replace(`'react-native-reanimated/plugin',`, `
+                '@babel/plugin-proposal-export-namespace-from',
+                'react-native-reanimated/plugin',
+                `)
+                }
+                return content.replace(`'transform-remove-console'`, '');
+            });
+            await readAndReplaceFileContent(`${expoDir}/app.json`, content => {
+                const appJson = JSON.parse(content);
+                if (!appJson['expo']['web']['bundler']) {
+                    appJson['expo']['web']['bundler'] = 'metro';
+                }
+                return JSON.stringify(appJson, null, 4);
+            });
+        }
+    }
+}, {
+    name: 'expo-49',
+    range: '49.x',
+    pins: {
+        expoPreview: LEGACY_EXPO_PREVIEW_PINS,
+        webPreview: {
+            dependencies: {
+                'react-native-svg': '13.4.0',
+                'react-native-reanimated': '^1.13.2',
+                'victory': '^36.5.3'
+            },
+            devDependencies: ESBUILD_WEB_PREVIEW_PINS.devDependencies
+        }
+    },
+    patches: {
+        expoPreview: [REANIMATED_PATCH],
+        webPreview: LEGACY_WEB_PREVIEW_PATCHES
+    },
+    webPreview: {
+        tweak: async (expoDir, codegen) => {
+            await copyEsbuildTemplate(expoDir, codegen);
+            await readAndReplaceFileContent(`${expoDir}/babel.config.js`, content =>
+                content.replace(`'react-native-reanimated/plugin',`, ''));
+        }
+    }
+}, {
+    name: 'expo-50',
+    range: '50.x',
+    pins: {
+        build: {
+            resolutions: {
+                // metro is pinned only for expo 50.0.17, the version it was needed for.
+                'metro': (current, packageJson) => packageJson.dependencies['expo'] === '50.0.17' ? '0.80.9' : current
+            }
+        }
+    }
+}, {
+    name: 'expo-52',
+    range: '52.x',
+    lockfileTemplate: `${templatesDir}/package/packageLock.json`,
+    patches: {
+        webPreview: [
+            ...OPEN_BROWSER_PATCHES,
+            ...NULLISH_COALESCING_PATCHES,
+            fontLoaderPatch(content => content.replace(/src\s*:\s*url\(\$\{resource\.uri\}\);/g, 'src:url(.${resource.uri.replace("//rn-bundle//","/")});')),
+            ENV_SERIALIZER_PATCH
+        ]
+    }
+}, {
+    name: 'expo-54',
+    range: '>=54.0.0',
+    lockfileTemplate: `${templatesDir}/package/packageLock.json`,
+    pins: {
+        expoPreview: {}
+    },
+    patches: {
+        webPreview: [
+            fontLoaderPatch(content => {
+                content = content.replace(
+                    /src:url\("(\$\{resource\.uri\})"\)/g,
+                    'src:url("${resource.uri.replace(\'//rn-bundle//\',\'/\')}")'
+                );
+                return content.replace(
+                    /const toExport = isServer\s*\?\s*ExpoFontLoader\s*:\s*\/\/ @ts-expect-error:[\s\S]*?registerWebModule\(createExpoFontLoader, 'ExpoFontLoader'\);/g,
+                    'const toExport = ExpoFontLoader;'
+                );
+            }),
+            ENV_SERIALIZER_PATCH
+        ]
+    },
+    native: {
+        ios: {
+            debugBundling: 'swift'
+        }
+    }
+}];
+
+// used for the expo versions, that are not covered by PROFILES.
+const DEFAULT_PROFILE = {
+    name: 'default',
+    range: '*',
+    lockfileTemplate: null,
+    ports: {
+        expoPreview: 8081,
+        webPreview: 19006
+    },
+    pins: {
+        build: {},
+        expoPreview: LEGACY_EXPO_PREVIEW_PINS,
+        webPreview: {
+            dependencies: ESBUILD_WEB_PREVIEW_PINS.dependencies,
+            devDependencies: {
+                ...ESBUILD_WEB_PREVIEW_PINS.devDependencies,
+                '@expo/metro-config': null
+            }
+        }
+    },
+    patches: {
+        expoPreview: [],
+        webPreview: LEGACY_WEB_PREVIEW_PATCHES
+    },
+    webPreview: {
+        tweak: (expoDir, codegen) => copyEsbuildTemplate(expoDir, codegen)
+    },
+    native: {
+        ios: {
+            debugBundling: 'objc'
+        }
+    }
+};
+
+function getExpoVersion(packageJson) {
+    const version = packageJson && packageJson.dependencies && packageJson.dependencies['expo'];
+    const coerced = version && semver.coerce(version);
+    return coerced ? coerced.version : null;
+}
+
+/**
+ * returns the profile of the given expo version, with the missing values taken from the default profile.
+ */
+function getSdkProfile(expoVersion) {
+    const profile = (expoVersion && PROFILES.find(p => semver.satisfies(expoVersion, p.range))) || DEFAULT_PROFILE;
+    return {
+        ...DEFAULT_PROFILE,
+        ...profile,
+        expoVersion: expoVersion,
+        ports: {...DEFAULT_PROFILE.ports, ...profile.ports},
+        pins: {...DEFAULT_PROFILE.pins, ...profile.pins},
+        patches: {...DEFAULT_PROFILE.patches, ...profile.patches},
+        webPreview: {...DEFAULT_PROFILE.webPreview, ...profile.webPreview},
+        native: {
+            ios: {...DEFAULT_PROFILE.native.ios, ...(profile.native && profile.native.ios)}
+        }
+    };
+}
+
+function getSdkProfileOfProject(projectDir) {
+    const packageJson = fs.readJSONSync(`${projectDir}/package.json`);
+    return getSdkProfile(getExpoVersion(packageJson));
+}
+
+function resolvePin(pin, current, packageJson) {
+    if (typeof pin === 'function') {
+        return pin(current, packageJson);
+    }
+    if (pin && typeof pin === 'object') {
+        return pin.match.includes(current) ? pin.value : current;
+    }
+    return pin;
+}
+
+function applyPinsToSection(packageJson, section, pins) {
+    if (!pins) {
+        return;
+    }
+    const deps = packageJson[section] = packageJson[section] || {};
+    Object.keys(pins).forEach(name => {
+        const value = resolvePin(pins[name], deps[name], packageJson);
+        if (value === null || value === undefined) {
+            delete deps[name];
+        } else {
+            deps[name] = value;
+        }
+    });
+}
+
+function applyPins(packageJson, pins, platform) {
+    if (!pins) {
+        return packageJson;
+    }
+    ['dependencies', 'devDependencies', 'resolutions'].forEach(section => {
+        applyPinsToSection(packageJson, section, pins[section]);
+    });
+    if (platform && pins.platforms && pins.platforms[platform]) {
+        applyPins(packageJson, pins.platforms[platform]);
+    }
+    return packageJson;
+}
+
+/**
+ * applies the pins of the target (build, expoPreview or webPreview) to the package.json object.
+ * The pins of build target are applied on top of the common build pins.
+ */
+function applyDependencyPins(packageJson, target, options) {
+    options = options || {};
+    const profile = getSdkProfile(getExpoVersion(packageJson));
+    if (target === 'build') {
+        applyPins(packageJson, BASE_BUILD_PINS, options.platform);
+    }
+    const pins = profile.pins[target] || {};
+    applyPins(packageJson, pins, options.platform);
+    if (target === 'expoPreview' && options.isWebPreview) {
+        applyPins(packageJson, pins.webPreview);
+    }
+    return packageJson;
+}
+
+async function applyNodeModulesPatches(projectDir, profile, target) {
+    const patches = profile.patches[target] || [];
+    for (const p of patches) {
+        const file = `${projectDir}/${p.file}`;
+        if (!fs.existsSync(file)) {
+            logger.debug({
+                label: loggerLabel,
+                message: `skipped patching ${p.file} as it does not exist.`
+            });
+            continue;
+        }
+        await readAndReplaceFileContent(file, p.patch);
+    }
+}
+
+module.exports = {
+    PROFILES: PROFILES,
+    getExpoVersion: getExpoVersion,
+    getSdkProfile: getSdkProfile,
+    getSdkProfileOfProject: getSdkProfileOfProject,
+    applyDependencyPins: applyDependencyPins,
+    applyNodeModulesPatches: applyNodeModulesPatches
+};
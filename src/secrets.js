@@ -0,0 +1,135 @@
+const fs = require('fs-extra');
+const prompt = require('prompt');
+
+// secret options and their aliases.
+const SECRET_OPTIONS = {
+    aStorePassword: 'asp',
+    aKeyPassword: 'akp',
+    iCertificatePassword: 'icp'
+};
+const MASK = '****';
+const secrets = new Set();
+let stdinLines = null;
+
+function registerSecret(value) {
+    if (value && String(value).length > 1) {
+        secrets.add(String(value));
+    }
+}
+
+function getSecrets() {
+    return Array.from(secrets);
+}
+
+// replaces all the registered secrets in the text with ****
+function maskSecrets(text) {
+    if (typeof text !== 'string' || !secrets.size) {
+        return text;
+    }
+    // longer secrets first, so that a secret containing another secret is masked fully.
+    return getSecrets()
+        .sort((a, b) => b.length - a.length)
+        .reduce((t, s) => t.split(s).join(MASK), text);
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => data += chunk);
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+    });
+}
+
+function promptSecret(name) {
+    prompt.start();
+    return new Promise((resolve, reject) => {
+        prompt.get({
+            properties: {
+                [name]: {
+                    required: true,
+                    hidden: true,
+                    replace: '*'
+                }
+            }
+        }, (err, result) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result[name]);
+            }
+        });
+    });
+}
+
+// When stdin is piped, each 'stdin' secret takes the next line of stdin. Otherwise, user is prompted.
+async function readSecretFromStdin(name) {
+    if (process.stdin.isTTY) {
+        return promptSecret(name);
+    }
+    if (!stdinLines) {
+        stdinLines = (await readStdin()).split(/\r?\n/);
+    }
+    if (!stdinLines.length || (stdinLines.length === 1 && !stdinLines[0])) {
+        throw new Error(`no value is available in stdin for ${name}.`);
+    }
+    return stdinLines.shift();
+}
+
+/**
+ * resolves a secret value. Value can be
+ *  env:NAME    - value of the environment variable NAME.
+ *  file:/path  - content of the file (trailing new line is ignored).
+ *  stdin       - next line from stdin (or prompt, if stdin is a terminal).
+ * Any other value is returned as it is.
+ */
+async function resolveSecret(value, name) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    let secret = value;
+    if (value.startsWith('env:')) {
+        const envName = value.substring(4);
+        secret = process.env[envName];
+        if (secret === undefined) {
+            throw new Error(`environment variable ${envName} given for ${name} is not set.`);
+        }
+    } else if (value.startsWith('file:')) {
+        const file = value.substring(5);
+        if (!fs.existsSync(file)) {
+            throw new Error(`file ${file} given for ${name} does not exist.`);
+        }
+        secret = fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    } else if (value === 'stdin') {
+        secret = await readSecretFromStdin(name);
+    }
+    registerSecret(secret);
+    return secret;
+}
+
+// resolves all the secret options in args, in place.
+async function resolveSecretOptions(args) {
+    for (const name of Object.keys(SECRET_OPTIONS)) {
+        const alias = SECRET_OPTIONS[name];
+        const value = args[name] !== undefined ? args[name] : args[alias];
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const secret = await resolveSecret(String(value), name);
+        args[name] = secret;
+        if (alias in args) {
+            args[alias] = secret;
+        }
+    }
+    return args;
+}
+
+module.exports = {
+    SECRET_OPTIONS: SECRET_OPTIONS,
+    registerSecret: registerSecret,
+    getSecrets: getSecrets,
+    maskSecrets: maskSecrets,
+    resolveSecret: resolveSecret,
+    resolveSecretOptions: resolveSecretOptions
+};
@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./logger');
+const { getRootDir } = require('./build-context');
+
+const loggerLabel = 'signing-registry';
+
+/*
+ * Certificates used to sign the release builds of the android apps, by app id (id in wm_rn_config.json), kept in
+ * <rootDir>/signing-keys.json.
+ * Play Store rejects an update signed with a different key. So, a release build with a different certificate
+ * is stopped, unless the change is allowed (--allow-key-change).
+ *   {apps: {<appId>: {sha1, sha256, keyAlias, recordedAt, lastUsedAt, previous: [{sha1, sha256, keyAlias, replacedAt}]}}}
+ */
+
+function getRegistryFile() {
+    return `${getRootDir()}/signing-keys.json`;
+}
+
+function readRegistry() {
+    const file = getRegistryFile();
+    if (fs.existsSync(file)) {
+        try {
+            return fs.readJSONSync(file);
+        } catch (e) {
+            logger.warn({
+                label: loggerLabel,
+                message: `could not read ${file}. Due to: ${e}`
+            });
+        }
+    }
+    return {
+        apps: {}
+    };
+}
+
+function writeRegistry(registry) {
+    const file = getRegistryFile();
+    fs.mkdirsSync(path.dirname(file));
+    fs.writeFileSync(file, JSON.stringify(registry, null, 4));
+}
+
+// certificate, that the earlier release builds of the app are signed with.
+function getSigningKey(appId) {
+    return readRegistry().apps[appId] || null;
+}
+
+/**
+ * returns the reason to stop the release build of the app signed with the certificate of the given fingerprints,
+ * or null, when it is the known certificate of the app (or the app is not built before).
+ */
+function checkSigningKey(appId, fingerprints, allowKeyChange) {
+    const known = appId && getSigningKey(appId);
+    if (!known || !fingerprints || !fingerprints.sha256 || known.sha256 === fingerprints.sha256) {
+        return null;
+    }
+    if (allowKeyChange) {
+        logger.warn({
+            label: loggerLabel,
+            message: `signing key of ${appId} is changed from ${known.sha256} to ${fingerprints.sha256}, as --allow-key-change is given.`
+        });
+        return null;
+    }
+    return `earlier release builds of ${appId} are signed with the certificate (SHA-256) ${known.sha256}, `
+        + `but this keystore has ${fingerprints.sha256}. Play Store rejects the updates signed with a different key. `
+        + 'Use --allow-key-change, if the key is changed on purpose.';
+}
+
+/**
+ * records the certificate of a successful release build of the app. When it is a different certificate,
+ * the earlier one is kept in the previous list.
+ */
+function recordSigningKey(appId, fingerprints, keyAlias) {
+    if (!appId || !fingerprints || !fingerprints.sha256) {
+        return;
+    }
+    try {
+        const registry = readRegistry();
+        const known = registry.apps[appId];
+        const now = Date.now();
+        if (known && known.sha256 === fingerprints.sha256) {
+            known.lastUsedAt = now;
+        } else {
+            registry.apps[appId] = {
+                sha1: fingerprints.sha1,
+                sha256: fingerprints.sha256,
+                keyAlias: keyAlias,
+                recordedAt: now,
+                lastUsedAt: now,
+                previous: known ? [...(known.previous || []), {
+                    sha1: known.sha1,
+                    sha256: known.sha256,
+                    keyAlias: known.keyAlias,
+                    replacedAt: now
+                }] : []
+            };
+        }
+        writeRegistry(registry);
+    } catch (e) {
+        logger.warn({
+            label: loggerLabel,
+            message: `could not record the signing key of ${appId}. Due to: ${e}`
+        });
+    }
+}
+
+module.exports = {
+    getSigningKey: getSigningKey,
+    checkSigningKey: checkSigningKey,
+    recordSigningKey: recordSigningKey
+};
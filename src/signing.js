@@ -0,0 +1,91 @@
+const fs = require('fs-extra');
+const logger = require('./logger');
+const { exec } = require('./exec');
+
+const loggerLabel = 'signing';
+
+function parseFingerprints(lines) {
+    const fingerprints = {};
+    (lines || []).forEach(line => {
+        const match = line.match(/^\s*(SHA1|SHA256|SHA-1|SHA-256)\s*(?:Fingerprint)?\s*[:=]\s*([0-9A-F:]+)\s*$/i);
+        if (match) {
+            fingerprints[match[1].replace('-', '').toLowerCase()] = match[2].toUpperCase();
+        }
+    });
+    return fingerprints;
+}
+
+/**
+ * returns the sha1 and sha256 fingerprints of the certificate of the key alias in the keystore.
+ */
+async function getKeyStoreFingerprints(keyStore, keyAlias, storePassword) {
+    if (!keyStore || !fs.existsSync(keyStore)) {
+        return null;
+    }
+    try {
+        const output = await exec('keytool', ['-list', '-v', '-keystore', keyStore,
+            ...(keyAlias ? ['-alias', keyAlias] : []),
+            '-storepass:env', 'WM_RN_STORE_PASSWORD'], {
+            log: false,
+            env: {
+                WM_RN_STORE_PASSWORD: storePassword || ''
+            }
+        });
+        return parseFingerprints(output);
+    } catch (e) {
+        logger.warn({
+            label: loggerLabel,
+            message: `could not read the certificate of ${keyStore}. Due to: ${e}`
+        });
+        return null;
+    }
+}
+
+/**
+ * returns the sha1 and sha256 fingerprints of the certificate in the p12 file.
+ */
+async function getP12Fingerprints(certificate, certificatePassword) {
+    if (!certificate || !fs.existsSync(certificate)) {
+        return null;
+    }
+    try {
+        const output = await exec(`openssl pkcs12 -in "${certificate}" -passin env:WM_RN_CERTIFICATE_PASSWORD -nokeys -clcerts`
+            + ' | openssl x509 -noout -fingerprint -sha256', null, {
+            shell: true,
+            log: false,
+            env: {
+                WM_RN_CERTIFICATE_PASSWORD: certificatePassword || ''
+            }
+        });
+        return parseFingerprints(output);
+    } catch (e) {
+        logger.warn({
+            label: loggerLabel,
+            message: `could not read the certificate of ${certificate}. Due to: ${e}`
+        });
+        return null;
+    }
+}
+
+// keystore used for the android build. Debug builds without a keystore are signed with the debug keystore of the project.
+function getAndroidSigningConfig(args) {
+    if (args.buildType === 'debug' && !args.aKeyStore) {
+        return {
+            keyStore: `${args.dest}android/app/debug.keystore`,
+            keyAlias: 'androiddebugkey',
+            storePassword: 'android'
+        };
+    }
+    return {
+        keyStore: args.aKeyStore,
+        keyAlias: args.aKeyAlias,
+        storePassword: args.aStorePassword
+    };
+}
+
+module.exports = {
+    parseFingerprints: parseFingerprints,
+    getKeyStoreFingerprints: getKeyStoreFingerprints,
+    getP12Fingerprints: getP12Fingerprints,
+    getAndroidSigningConfig: getAndroidSigningConfig
+};
@@ -5,6 +5,8 @@ const path = require('path');
 const crypto = require('crypto');
 const logger = require('./logger');
 const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { getRootDir } = require('./build-context');
+const { recordChange } = require('./journal');
 const loggerLabel = 'wm-reactnative-cli';
 
 
@@ -12,19 +14,38 @@ function isWindowsOS() {
     return (os.platform() === "win32" || os.platform() === "win64");
 }
 
-async function readAndReplaceFileContent(path, writeFn) {
+// reason is recorded in the journal of the build (see journal.js).
+async function readAndReplaceFileContent(path, writeFn, reason) {
     const content = fs.readFileSync(path, 'utf-8');
     return Promise.resolve().then(() => {    
         return writeFn && writeFn(content);
     }).then((modifiedContent) => {
         if (modifiedContent !== undefined && modifiedContent !== null) {
+            // file can be hard linked to the dependency cache. So, write to a new file instead of changing the shared one.
+            if (modifiedContent !== content && fs.statSync(path).nlink > 1) {
+                fs.unlinkSync(path);
+            }
             fs.writeFileSync(path, modifiedContent);
+            recordChange(path, reason, content, modifiedContent);
             return modifiedContent;
         }
         return content;
     });
 }
 
+// writes the file and records the change in the journal of the build.
+function writeFileContent(path, content, reason) {
+    const before = fs.existsSync(path) ? fs.readFileSync(path) : null;
+    fs.writeFileSync(path, content);
+    recordChange(path, reason, before, content);
+}
+
+function appendFileContent(path, content, reason) {
+    const before = fs.existsSync(path) ? fs.readFileSync(path) : null;
+    fs.appendFileSync(path, content);
+    recordChange(path, reason, before, fs.readFileSync(path));
+}
+
 function streamToString (stream) {
     const chunks = [];
     return new Promise((resolve, reject) => {
@@ -60,13 +81,15 @@ async function getDestPathForWindows(mode, projectDir = ''){
     }
 
     destHash = crypto.createHash("shake256", { outputLength: 1 }).update(updatePath).digest("hex");
-    destPath = path.resolve(`${global.rootDir}/${mode}/` + destHash + appendPath); 
+    destPath = path.resolve(`${getRootDir()}/${mode}/` + destHash + appendPath); 
     return  destPath;
 }
 
 module.exports = {
     isWindowsOS: isWindowsOS,
     readAndReplaceFileContent: readAndReplaceFileContent,
+    writeFileContent: writeFileContent,
+    appendFileContent: appendFileContent,
     iterateFiles: iterateFiles,
     streamToString: streamToString,
     isExpoWebPreviewContainer: isExpoWebPreviewContainer, 
@@ -0,0 +1,287 @@
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const logger = require('./logger');
+const config = require('./config');
+const taskLogger = require('./custom-logger/task-logger').spinnerBar;
+const { eventStream } = require('./custom-logger/event-stream');
+const { build } = require('./command');
+const { readBuildReport, REPORT_FORMAT_VERSION } = require('./build-report');
+const { resolveSecretOptions } = require('./secrets');
+const { writeFileContent } = require('./utils');
+const { CliError } = require('./errors');
+
+const loggerLabel = 'variants';
+const VARIANTS_DIR = 'output/variants';
+const REPORT_FILE = 'output/variants-report.json';
+// wm_rn_config.json values a variant can change. icon and splash are images, copied over the ones of the project.
+const VARIANT_OPTIONS = ['id', 'name', 'version', 'icon', 'splash', 'serverPath', 'appJson'];
+// project files changed by the variants. They are restored before every variant.
+const BASE_FILES = ['wm_rn_config.json', 'app.json'];
+
+/*
+ * Builds of the same project with different app ids, names, icons... (--variants variants.json).
+ * {
+ *     "variants": {
+ *         "brandA": {
+ *             "id": "com.brand.a",
+ *             "name": "BrandA",
+ *             "version": "1.2.0",
+ *             "icon": "./brandA/icon.png",
+ *             "splash": "./brandA/splash.png",
+ *             "serverPath": "https://a.example.com/app",
+ *             "appJson": { "expo": { "android": { "versionCode": 12 } } }
+ *         }
+ *     }
+ * }
+ * The project is set up and its dependencies are installed once. Then, for every variant, the changes of the variant
+ * are made to the project and the build is resumed from the eject phase. Artifacts and the build report of a variant
+ * are in output/variants/<variant>. output/variants-report.json lists the artifacts of all the variants.
+ */
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// merges source into target. Arrays and other values of source replace the ones in target.
+function deepMerge(target, source) {
+    Object.keys(source).forEach(k => {
+        if (isObject(source[k]) && isObject(target[k])) {
+            deepMerge(target[k], source[k]);
+        } else {
+            target[k] = source[k];
+        }
+    });
+    return target;
+}
+
+/**
+ * reads the variants file and returns the variants as a list of {variant (name of the variant), ...values}. Relative paths of the
+ * icon and the splash are resolved against the folder of the variants file.
+ */
+function readVariants(variantsFile) {
+    const file = path.resolve(variantsFile);
+    if (!fs.existsSync(file)) {
+        throw new Error(`variants file does not exist: ${file}`);
+    }
+    const content = fs.readJSONSync(file);
+    const variants = Object.keys((content && content.variants) || {}).map(name => ({
+        ...content.variants[name],
+        variant: name
+    }));
+    if (!variants.length) {
+        throw new Error(`${file} does not have any variants.`);
+    }
+    variants.forEach(v => {
+        if (!/^[\w.-]+$/.test(v.variant)) {
+            throw new Error(`variant name ${v.variant} should have letters, digits, '.', '-' or '_' only.`);
+        }
+        const unknown = Object.keys(v).filter(k => k !== 'variant' && !VARIANT_OPTIONS.includes(k));
+        if (unknown.length) {
+            throw new Error(`variant ${v.variant} has unknown values: ${unknown.join(', ')}. Known values are ${VARIANT_OPTIONS.join(', ')}.`);
+        }
+        if (v.appJson !== undefined && !isObject(v.appJson)) {
+            throw new Error(`appJson of the variant ${v.variant} should be an object.`);
+        }
+        ['icon', 'splash'].filter(k => v[k]).forEach(k => {
+            v[k] = path.resolve(path.dirname(file), v[k]);
+            if (!fs.existsSync(v[k])) {
+                throw new Error(`${k} of the variant ${v.variant} does not exist: ${v[k]}`);
+            }
+        });
+    });
+    return variants;
+}
+
+// path of the image in the project. resources/... are in the assets folder (see loadMetaData in command.js).
+function getImagePath(dest, image) {
+    const src = image && image.src;
+    if (!src) {
+        return null;
+    }
+    return path.join(dest, src.startsWith('resources') ? 'assets/' + src : src);
+}
+
+// files of the project, that the variants change.
+function getBaseFiles(dest) {
+    const wmRNConfig = fs.readJSONSync(path.join(dest, 'wm_rn_config.json'));
+    return BASE_FILES.map(f => path.join(dest, f))
+        .concat([getImagePath(dest, wmRNConfig.icon), getImagePath(dest, wmRNConfig.splash)])
+        .filter(f => f && fs.existsSync(f));
+}
+
+function getBaseDir(dest) {
+    return path.join(dest, VARIANTS_DIR, '.base');
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(dir).reduce((files, f) => {
+        const file = path.join(dir, f);
+        return files.concat(fs.statSync(file).isDirectory() ? listFiles(file) : [file]);
+    }, []);
+}
+
+// copies of the project files are kept, so that the changes of a variant are not carried over to the next one.
+function saveBaseFiles(dest) {
+    const baseDir = getBaseDir(dest);
+    fs.removeSync(baseDir);
+    getBaseFiles(dest).forEach(f => fs.copySync(f, path.join(baseDir, path.relative(dest, f))));
+}
+
+function restoreBaseFiles(dest, reason) {
+    const baseDir = getBaseDir(dest);
+    listFiles(baseDir).forEach(f => writeFileContent(path.join(dest, path.relative(baseDir, f)), fs.readFileSync(f), reason));
+}
+
+// makes the changes of the variant to wm_rn_config.json, app.json and the images of the project in dest.
+function applyVariant(dest, variant, platform) {
+    const reason = `variant ${variant.variant}`;
+    const wmRNConfigPath = path.join(dest, 'wm_rn_config.json');
+    const wmRNConfig = fs.readJSONSync(wmRNConfigPath);
+    ['id', 'name', 'version', 'serverPath']
+        .filter(k => variant[k] !== undefined)
+        .forEach(k => wmRNConfig[k] = variant[k]);
+    writeFileContent(wmRNConfigPath, JSON.stringify(wmRNConfig, null, 4), reason);
+    ['icon', 'splash'].filter(k => variant[k]).forEach(k => {
+        const image = getImagePath(dest, wmRNConfig[k]);
+        if (!image) {
+            throw new Error(`wm_rn_config.json does not have ${k}.src, to replace with the ${k} of the variant ${variant.variant}.`);
+        }
+        fs.mkdirsSync(path.dirname(image));
+        writeFileContent(image, fs.readFileSync(variant[k]), reason);
+    });
+    const appJsonPath = path.join(dest, 'app.json');
+    if (fs.existsSync(appJsonPath)) {
+        const appJson = fs.readJSONSync(appJsonPath);
+        const expo = appJson.expo = appJson.expo || {};
+        variant.name !== undefined && (expo.name = variant.name);
+        variant.version !== undefined && (expo.version = variant.version);
+        if (variant.id !== undefined) {
+            if (platform === 'android') {
+                expo.android = {...expo.android, package: variant.id};
+            } else {
+                expo.ios = {...expo.ios, bundleIdentifier: variant.id};
+            }
+        }
+        deepMerge(appJson, variant.appJson || {});
+        writeFileContent(appJsonPath, JSON.stringify(appJson, null, 4), reason);
+    }
+    logger.info({
+        label: loggerLabel,
+        message: `applied the variant ${variant.variant} to ${dest}`
+    });
+}
+
+function getVariantResult(variant, dest, result, error) {
+    const report = readBuildReport(dest);
+    const variantDir = path.join(dest, VARIANTS_DIR, variant.variant);
+    const reportFile = path.join(variantDir, 'build-report.json');
+    if (report) {
+        fs.mkdirsSync(variantDir);
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 4));
+    }
+    return {
+        variant: variant.variant,
+        success: !error && !!result && !!result.success,
+        appId: report ? report.appId : variant.id,
+        name: report ? report.name : variant.name,
+        version: report ? report.version : variant.version,
+        artifacts: report ? report.artifacts : [],
+        report: report ? reportFile : undefined,
+        errors: error ? error.message : undefined,
+        error: error
+    };
+}
+
+function printVariants(results) {
+    console.log(chalk.bold('Variants'));
+    results.forEach(r => {
+        const artifact = r.success ? r.artifacts.map(a => a.path).join(', ') : chalk.red(r.errors || 'failed');
+        console.log(`  ${r.success ? chalk.green('✔') : chalk.red('✖')} ${r.variant.padEnd(20)}${artifact}`);
+    });
+}
+
+/**
+ * builds every variant in args.variants and resolves to {success, dest, report}, where report lists the results and
+ * the artifacts of the variants. Rejects with the error of the first failed variant, once all the variants are built.
+ */
+async function buildVariants(args) {
+    if (args.fromPhase || args.toPhase) {
+        throw new Error('--variants can not be used with --from-phase or --to-phase.');
+    }
+    const variants = readVariants(args.variants);
+    // secrets are read once (ex: from stdin), for all the variants.
+    await resolveSecretOptions(args);
+    const startTime = Date.now();
+    const baseArgs = {
+        ...args,
+        toPhase: 'prepare'
+    };
+    taskLogger.info(`Preparing the project for the variants: ${variants.map(v => v.variant).join(', ')}`);
+    await build(baseArgs);
+    const dest = baseArgs.dest;
+    saveBaseFiles(dest);
+    const results = [];
+    for (const variant of variants) {
+        logger.info({
+            label: loggerLabel,
+            message: `building the variant ${variant.variant}`
+        });
+        taskLogger.info(`Building the variant ${variant.variant}`);
+        restoreBaseFiles(dest, `base project of the variant ${variant.variant}`);
+        applyVariant(dest, variant, args.platform);
+        config.patches = [];
+        // report of the previous variant is not taken for this one, when this one fails without a report.
+        fs.removeSync(path.join(dest, 'output/build-report.json'));
+        let result, error;
+        try {
+            result = await build({
+                ...args,
+                src: dest,
+                dest: dest,
+                variant: variant.variant,
+                fromPhase: 'eject'
+            });
+        } catch (e) {
+            error = e;
+        }
+        results.push(getVariantResult(variant, dest, result, error));
+    }
+    restoreBaseFiles(dest, 'base project after the variants');
+    const report = {
+        formatVersion: REPORT_FORMAT_VERSION,
+        success: results.every(r => r.success),
+        platform: args.platform,
+        buildType: args.buildType,
+        dest: dest,
+        startedAt: startTime,
+        duration: Date.now() - startTime,
+        variants: results.map(r => ({...r, error: undefined})),
+        artifacts: [].concat(...results.map(r => r.artifacts.map(a => ({...a, variant: r.variant}))))
+    };
+    const reportFile = path.join(dest, REPORT_FILE);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 4));
+    if (eventStream.isEnabled()) {
+        eventStream.emit('variants', report.success ? 'info' : 'error', {report: report});
+    } else {
+        printVariants(results);
+    }
+    taskLogger.info(`Report of the variants: ${reportFile}`);
+    const failed = results.filter(r => !r.success);
+    if (failed.length) {
+        const error = new CliError(`variants failed: ${failed.map(r => r.variant).join(', ')}`, failed.map(r => r.error));
+        error.exitCode = (failed[0].error && failed[0].error.exitCode) || error.exitCode;
+        throw error;
+    }
+    return {
+        success: true,
+        dest: dest,
+        report: report
+    };
+}
+
+module.exports = {
+    readVariants: readVariants,
+    applyVariant: applyVariant,
+    buildVariants: buildVariants
+};
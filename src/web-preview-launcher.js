@@ -15,6 +15,9 @@ const {
 const { readAndReplaceFileContent, streamToString, isExpoWebPreviewContainer } = require('./utils');
 const axios = require('axios');
 const { setupProject } = require('./project-sync.service');
+const dependencyCache = require('./dependency-cache');
+const { DependencyInstallError } = require('./errors');
+const { getSdkProfile, getSdkProfileOfProject, getExpoVersion, applyDependencyPins, applyNodeModulesPatches } = require('./sdk-profiles');
 const taskLogger = require('./custom-logger/task-logger').spinnerBar;
 const { previewSteps } = require('./custom-logger/steps');
 const chalk = require('chalk');
@@ -26,7 +29,7 @@ let codegen = '';
 let rnAppPath = '';
 let packageLockJsonFile = '';
 let basePath = '/rn-bundle/';
-let expoVersion = '';
+let sdkProfile = null;
 let etag = "";
 let isExpoPreviewContainer = false;
 
@@ -161,57 +164,17 @@ async function transpile(projectDir, previewUrl, incremental) {
 
 async function updateForWebPreview(projectDir) {
     try {
-    const packageFile = `${getExpoProjectDir(projectDir)}/package.json`;
+    const expoDir = getExpoProjectDir(projectDir);
+    const packageFile = `${expoDir}/package.json`;
     const package = JSON.parse(fs.readFileSync(packageFile, {
         encoding: 'utf-8'
     }));
-    if (package['dependencies']['expo'] === '48.0.18') {
-        webPreviewPort = 19000;
-        expoVersion = '48.0.18';
-        package.devDependencies['fs-extra'] = '^10.0.0';
-        package.devDependencies['@babel/plugin-proposal-export-namespace-from'] = '7.18.9';
-        delete package.devDependencies['esbuild'];
-        delete package.devDependencies['esbuild-plugin-resolve'];
-        fs.copySync(`${codegen}/src/templates/project/esbuild`, `${getExpoProjectDir(projectDir)}/esbuild`);
-        await readAndReplaceFileContent(`${getExpoProjectDir(projectDir)}/babel.config.js`, content => {
-            if (content.indexOf('@babel/plugin-proposal-export-namespace-from') < 0) {
-                content = content.replace(`'react-native-reanimated/plugin',`, `
-                '@babel/plugin-proposal-export-namespace-from',
-                'react-native-reanimated/plugin',
-                `)
-            }
-            return content.replace(`'transform-remove-console'`, '');
-        });
-        await readAndReplaceFileContent(`${getExpoProjectDir(projectDir)}/app.json`, content => {
-            const appJson = JSON.parse(content);
-            if (!appJson['expo']['web']['bundler']) {
-                appJson['expo']['web']['bundler'] = 'metro';
-            }
-            return JSON.stringify(appJson, null, 4);
-        });
-    } else if (package['dependencies']['expo'] === '49.0.7') {
-        expoVersion = '49.0.7';
-        package.dependencies['react-native-svg'] = '13.4.0';
-        package.dependencies['react-native-reanimated'] = '^1.13.2';
-        package.dependencies['victory'] = '^36.5.3';
-        package.devDependencies['fs-extra'] = '^10.0.0';
-        delete package.devDependencies['esbuild'];
-        delete package.devDependencies['esbuild-plugin-resolve'];
-        fs.copySync(`${codegen}/src/templates/project/esbuild`, `${getExpoProjectDir(projectDir)}/esbuild`);
-        readAndReplaceFileContent(`${getExpoProjectDir(projectDir)}/babel.config.js`, content => 
-            content.replace(`'react-native-reanimated/plugin',`, ''));
-    } else {
-        expoVersion = package['dependencies']['expo'];
-        package.dependencies['react-native-svg'] = '13.4.0';
-        package.dependencies['victory'] = '^36.5.3';
-        package.devDependencies['fs-extra'] = '^10.0.0';
-        delete package.devDependencies['esbuild'];
-        delete package.devDependencies['esbuild-plugin-resolve'];
-        delete package.devDependencies['@expo/metro-config'];
-        fs.copySync(`${codegen}/src/templates/project/esbuild`, `${getExpoProjectDir(projectDir)}/esbuild`);
-    }
+    sdkProfile = getSdkProfile(getExpoVersion(package));
+    webPreviewPort = sdkProfile.ports.webPreview;
+    applyDependencyPins(package, 'webPreview');
+    await sdkProfile.webPreview.tweak(expoDir, codegen);
     fs.writeFileSync(packageFile, JSON.stringify(package, null, 4));
-    await readAndReplaceFileContent(`${getExpoProjectDir(projectDir)}/esbuild/esbuild.script.js`, (content)=>{
+    await readAndReplaceFileContent(`${expoDir}/esbuild/esbuild.script.js`, (content)=>{
         return content.replace('const esbuild', '//const esbuild').replace('const resolve', '//const resolve');
     });
     } catch (e) {
@@ -230,12 +193,7 @@ async function getCodeGenPath(projectDir) {
         let templatePackageJsonDir = path.resolve(`${process.env.WAVEMAKER_STUDIO_FRONTEND_CODEBASE}/wavemaker-rn-codegen/src/templates/project/`);
         const packageJson = require(templatePackageJsonFile);
         const expoProjectDir = getExpoProjectDir(projectDir);
-        if(semver.eq(packageJson["dependencies"]["expo"], "52.0.17")){
-            packageLockJsonFile = path.resolve(`${__dirname}/../templates/package/packageLock.json`);
-        }
-        if(semver.eq(packageJson["dependencies"]["expo"], "54.0.8")){
-            packageLockJsonFile = path.resolve(`${__dirname}/../templates/package/packageLock.json`);
-        }
+        packageLockJsonFile = getSdkProfile(getExpoVersion(packageJson)).lockfileTemplate || '';
     } else {
         codegen = `${projectDir}/target/codegen/node_modules/@wavemaker/rn-codegen`;
         if (!fs.existsSync(`${codegen}/index.js`)) {
@@ -278,58 +236,21 @@ async function installDependencies(projectDir) {
         message: "Dependency installation process initiated..."
       });
     taskLogger.incrementProgress(1);
-    await exec('npm', ['install'], {
-        cwd: expoDir
-    });
-    taskLogger.incrementProgress(2);
-    await exec('node', ['./esbuild/esbuild.script.js', '--prepare-lib'], {
-        cwd: expoDir
-    });
-    fs.copySync(
-        `${expoDir}/esbuild/node_modules`, 
-        `${expoDir}/node_modules`,
-        {
-        overwrite: true
+    await dependencyCache.installDependencies(expoDir, 'webPreview', async () => {
+        await exec('npm', ['install'], {
+            cwd: expoDir
         });
-    const nodeModulesDir = `${expoDir}/node_modules/@wavemaker/app-rn-runtime`;
-    if(expoVersion != '54.0.12'){
-        // To remove openBrowser()
-        readAndReplaceFileContent(`${expoDir}/node_modules/open/index.js`, (c) => c.replace("const subprocess", 'return;\n\nconst subprocess'));
-        readAndReplaceFileContent(`${expoDir}/node_modules/@expo/cli/build/src/utils/open.js`, (c) => c.replace('if (process.platform !== "win32")', 'return;\n\n if (process.platform !== "win32")'));
-        readAndReplaceFileContent(`${nodeModulesDir}/core/base.component.js`, (c) => c.replace(/\?\?/g, '||'));
-        readAndReplaceFileContent(`${nodeModulesDir}/components/advanced/carousel/carousel.component.js`, (c) => c.replace(/\?\?/g, '||'));
-        readAndReplaceFileContent(`${nodeModulesDir}/components/input/rating/rating.component.js`, (c) => c.replace(/\?\?/g, '||'));
-    }
-    if(expoVersion != '52.0.17' && expoVersion != '54.0.12'){
-        readAndReplaceFileContent(`${expoDir}/node_modules/expo-camera/build/useWebQRScanner.js`, (c) => {
-            if (c.indexOf('@koale/useworker') > 0) {
-                return fs.readFileSync(`${__dirname}/../templates/expo-camera-patch/useWebQRScanner.js`, {
-                    encoding: 'utf-8'
-                })
-            }
-            return c;
-        });    
-    }
-    await readAndReplaceFileContent(`${expoDir}/node_modules/expo-font/build/ExpoFontLoader.web.js`, (content)=>{
-        if(expoVersion == '52.0.17'){
-            return content.replace(/src\s*:\s*url\(\$\{resource\.uri\}\);/g, 'src:url(.${resource.uri.replace("//rn-bundle//","/")});');
-        }
-        if(expoVersion == '54.0.12'){
-            content = content.replace(
-                /src:url\("(\$\{resource\.uri\})"\)/g, 
-                'src:url("${resource.uri.replace(\'//rn-bundle//\',\'/\')}")'
-            );
-            content = content.replace(
-                /const toExport = isServer\s*\?\s*ExpoFontLoader\s*:\s*\/\/ @ts-expect-error:[\s\S]*?registerWebModule\(createExpoFontLoader, 'ExpoFontLoader'\);/g,
-                'const toExport = ExpoFontLoader;'
-            );
-        }
-        return content.replace(/src\s*:\s*url\(\$\{resource\.uri\}\);/g, 'src:url(.${resource.uri});');
-    });
-    // https://github.com/expo/expo/issues/24273#issuecomment-2132297993
-    await readAndReplaceFileContent(`${expoDir}/node_modules/@expo/metro-config/build/serializer/environmentVariableSerializerPlugin.js`, (content)=>{
-        content = content.replace('getEnvPrelude(str)', '//getEnvPrelude(str)');
-        return content.replace('// process.env', '// process.env \n firstModule.output[0].data.code = firstModule.output[0].data.code + str;');
+        taskLogger.incrementProgress(2);
+        await exec('node', ['./esbuild/esbuild.script.js', '--prepare-lib'], {
+            cwd: expoDir
+        });
+        fs.copySync(
+            `${expoDir}/esbuild/node_modules`, 
+            `${expoDir}/node_modules`,
+            {
+            overwrite: true
+            });
+        await applyNodeModulesPatches(expoDir, sdkProfile || getSdkProfileOfProject(expoDir), 'webPreview');
     });
     taskLogger.succeed(previewSteps[4].succeed);
     } catch (e) {
@@ -337,7 +258,8 @@ async function installDependencies(projectDir) {
             label: loggerLabel,
             message: e+' Encountered an error while installing dependencies.'
           });
-        taskLogger.error(e+' Encountered an error while installing dependencies.');
+        taskLogger.fail(e+' Encountered an error while installing dependencies.');
+        throw new DependencyInstallError(e+' Encountered an error while installing dependencies.', e);
     }
 }
 
@@ -526,6 +448,7 @@ async function runWeb(previewUrl, clean, authToken) {
             label: loggerLabel,
             message: e
         });
+        throw e;
     }
 }
 
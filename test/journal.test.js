@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('assert');
+const { diffLines } = require('../src/journal');
+
+test('diffLines keeps the lines of equal contents', () => {
+    assert.deepStrictEqual(diffLines(['a', 'b'], ['a', 'b']), [[' ', 'a'], [' ', 'b']]);
+});
+
+test('diffLines marks the changed lines between the common prefix and suffix', () => {
+    assert.deepStrictEqual(diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd']), [
+        [' ', 'a'], ['-', 'b'], ['+', 'x'], [' ', 'c'], [' ', 'd']
+    ]);
+});
+
+test('diffLines adds and removes the lines around the common lines', () => {
+    assert.deepStrictEqual(diffLines(['a', 'b', 'c'], ['b', 'c', 'd']), [
+        ['-', 'a'], [' ', 'b'], [' ', 'c'], ['+', 'd']
+    ]);
+});
+
+test('diffLines converts an empty content', () => {
+    assert.deepStrictEqual(diffLines([], ['a']), [['+', 'a']]);
+    assert.deepStrictEqual(diffLines(['a'], []), [['-', 'a']]);
+});
+
+test('diffLines applied to the old lines gives the new lines', () => {
+    const a = ['x', 'a', 'b', 'c', 'a', 'b', 'b', 'a'];
+    const b = ['c', 'b', 'a', 'b', 'a', 'c'];
+    const ops = diffLines(a, b);
+    assert.deepStrictEqual(ops.filter(op => op[0] !== '+').map(op => op[1]), a);
+    assert.deepStrictEqual(ops.filter(op => op[0] !== '-').map(op => op[1]), b);
+    // the longest common subsequence of a and b has 4 lines.
+    assert.strictEqual(ops.filter(op => op[0] === ' ').length, 4);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('assert');
+const { getProfile } = require('../src/project-config');
+
+const projectConfig = {
+    profiles: {
+        base: {buildType: 'development', packageType: 'development'},
+        release: {extends: 'base', buildType: 'production'},
+        store: {extends: 'release', packageType: 'app-store'},
+        loop: {extends: 'loopBack'},
+        loopBack: {extends: 'loop'},
+        broken: {extends: 'missing'}
+    }
+};
+
+test('getProfile returns the values of a profile without extends', () => {
+    assert.deepStrictEqual(getProfile(projectConfig, 'base'), {buildType: 'development', packageType: 'development'});
+});
+
+test('getProfile overrides the values of the extended profiles', () => {
+    assert.deepStrictEqual(getProfile(projectConfig, 'release'), {buildType: 'production', packageType: 'development'});
+    assert.deepStrictEqual(getProfile(projectConfig, 'store'), {buildType: 'production', packageType: 'app-store'});
+});
+
+test('getProfile throws an error for the profiles that extend themselves', () => {
+    assert.throws(() => getProfile(projectConfig, 'loop'), /profile 'loop' extends itself/);
+});
+
+test('getProfile throws an error for a missing profile', () => {
+    assert.throws(() => getProfile(projectConfig, 'broken'), /profile 'missing' is not found. Available profiles are: base, release/);
+    assert.throws(() => getProfile({}, 'base'), /Available profiles are: none/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { readProperties, setProperties, removeProperties, parsePropertyOptions } = require('../src/properties-editor');
+
+function withFile(content, fn) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wm-rn-test-'));
+    const file = path.join(dir, 'gradle.properties');
+    try {
+        content !== null && fs.writeFileSync(file, content);
+        fn(file);
+    } finally {
+        fs.removeSync(dir);
+    }
+}
+
+test('setProperties updates a key in place and keeps the comments', () => {
+    withFile('# signing\nMYAPP_UPLOAD_STORE_PASSWORD=old\nandroid.useAndroidX=true\n', file => {
+        setProperties(file, {MYAPP_UPLOAD_STORE_PASSWORD: 'new'});
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '# signing\nMYAPP_UPLOAD_STORE_PASSWORD=new\nandroid.useAndroidX=true\n');
+    });
+});
+
+test('setProperties replaces the continued lines of a key', () => {
+    withFile('reactNativeArchitectures=armeabi-v7a,\\\n    arm64-v8a,\\\n    x86\nnewArchEnabled=false\n', file => {
+        const properties = setProperties(file, {reactNativeArchitectures: 'arm64-v8a'});
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'reactNativeArchitectures=arm64-v8a\nnewArchEnabled=false\n');
+        assert.deepStrictEqual(properties, {reactNativeArchitectures: 'arm64-v8a', newArchEnabled: 'false'});
+    });
+});
+
+test('setProperties keeps a line ending with an escaped backslash as a single line', () => {
+    withFile('sdk.dir=C:\\\\\nfoo=bar\n', file => {
+        setProperties(file, {foo: 'baz'});
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'sdk.dir=C:\\\\\nfoo=baz\n');
+    });
+});
+
+test('setProperties removes the duplicate lines of a key', () => {
+    withFile('a=1\nb=2\na=3\n', file => {
+        setProperties(file, {a: '4'});
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'a=4\nb=2\n');
+    });
+});
+
+test('setProperties adds the new keys before the trailing empty line and does not add them again', () => {
+    withFile('a=1\n', file => {
+        setProperties(file, {b: '2'});
+        setProperties(file, {b: '2'});
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'a=1\nb=2\n');
+    });
+});
+
+test('setProperties creates the file and escapes the keys and the values', () => {
+    withFile(null, file => {
+        setProperties(file, {'a key': 'C:\\sdk', 'sdk.dir': 'C:\\sdk'});
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'a\\ key=C:\\\\sdk\nsdk.dir=C:\\\\sdk\n');
+        assert.strictEqual(readProperties(file)['sdk.dir'], 'C:\\\\sdk');
+    });
+});
+
+test('removeProperties removes all the lines of the keys', () => {
+    withFile('a=1\nb=2\na=3\n', file => {
+        assert.deepStrictEqual(removeProperties(file, ['a']), {b: '2'});
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), 'b=2\n');
+    });
+});
+
+test('parsePropertyOptions splits the values at the first =', () => {
+    assert.deepStrictEqual(parsePropertyOptions(['org.gradle.jvmargs=-Xmx4g -Dfile.encoding=UTF-8', 'empty=']), {
+        'org.gradle.jvmargs': '-Xmx4g -Dfile.encoding=UTF-8',
+        'empty': ''
+    });
+    assert.throws(() => parsePropertyOptions('=value'), /invalid gradle property/);
+});
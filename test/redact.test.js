@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('assert');
+const { redact, registerSecret } = require('../src/redact');
+
+test('redact masks the passwords of security, openssl and keytool', () => {
+    assert.strictEqual(redact('security import cert.p12 -P "my secret" -A'), 'security import cert.p12 -P **** -A');
+    assert.strictEqual(redact('openssl pkcs12 -in cert.p12 -passin pass:secret -nokeys'), 'openssl pkcs12 -in cert.p12 -passin pass:**** -nokeys');
+    assert.strictEqual(redact('keytool -list -storepass secret1 -keypass secret2'), 'keytool -list -storepass **** -keypass ****');
+});
+
+test('redact masks the signing passwords of gradle.properties', () => {
+    assert.strictEqual(redact('MYAPP_UPLOAD_STORE_PASSWORD=secret\nMYAPP_UPLOAD_KEY_PASSWORD=secret'),
+        'MYAPP_UPLOAD_STORE_PASSWORD=****\nMYAPP_UPLOAD_KEY_PASSWORD=****');
+    assert.strictEqual(redact('MYAPP_UPLOAD_KEY_ALIAS=upload'), 'MYAPP_UPLOAD_KEY_ALIAS=upload');
+});
+
+test('redact masks the session cookies and the tokens of the urls', () => {
+    assert.strictEqual(redact('Cookie: auth_cookie=abc123; path=/'), 'Cookie: auth_cookie=****; path=/');
+    assert.strictEqual(redact('j_username=admin&j_password=secret&x=1'), 'j_username=admin&j_password=****&x=1');
+    assert.strictEqual(redact('open https://example.com/app#token123 now'), 'open https://example.com/app#**** now');
+});
+
+test('redact masks the registered secrets and leaves the other values', () => {
+    registerSecret('registered-secret');
+    assert.strictEqual(redact('value is registered-secret.'), 'value is ****.');
+    assert.strictEqual(redact('-Pversion=1'), '-Pversion=1');
+    assert.strictEqual(redact(undefined), undefined);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('assert');
+const { parseFingerprints } = require('../src/signing');
+
+test('parseFingerprints reads the fingerprints of keytool', () => {
+    assert.deepStrictEqual(parseFingerprints([
+        'Alias name: upload',
+        'Certificate fingerprints:',
+        '\t SHA1: 5E:8F:16:06:2E:A3:CD:2C',
+        '\t SHA256: FA:C6:17:45:DC:09:03:78'
+    ]), {
+        sha1: '5E:8F:16:06:2E:A3:CD:2C',
+        sha256: 'FA:C6:17:45:DC:09:03:78'
+    });
+});
+
+test('parseFingerprints reads the fingerprints of openssl in upper case', () => {
+    assert.deepStrictEqual(parseFingerprints([
+        'SHA1 Fingerprint=5e:8f:16:06',
+        'sha256 Fingerprint=fa:c6:17:45'
+    ]), {
+        sha1: '5E:8F:16:06',
+        sha256: 'FA:C6:17:45'
+    });
+});
+
+test('parseFingerprints skips the other lines', () => {
+    assert.deepStrictEqual(parseFingerprints(['Signature algorithm name: SHA256withRSA', 'SHA1: not a fingerprint']), {});
+    assert.deepStrictEqual(parseFingerprints(undefined), {});
+});